@@ -0,0 +1,87 @@
+// Login lookup benchmark: times User.findByEmail as the user collection
+// grows, to check that latency stays flat (an index seek, not a scan).
+//
+//   MONGODB_URI=mongodb://localhost:27017/user-management-bench npm run bench:login
+//
+// Needs a MongoDB database it can fill and drop; it refuses to run against a
+// database that already has users. Sizes can be set with
+// BENCH_SIZES=1000,10000,100000 and lookups per size with BENCH_LOOKUPS.
+// The password hash comparison is left out: it costs the same at any size.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { User } = require('../src/models/user.model');
+require('../src/models/role.model');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/user-management-bench';
+const SIZES = (process.env.BENCH_SIZES || '1000,10000,100000').split(',').map(Number);
+const LOOKUPS = Number(process.env.BENCH_LOOKUPS) || 500;
+const BATCH_SIZE = 5000;
+
+const emailFor = (index) => `bench.user${index}@example.com`;
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+// Add users until the collection holds `size` of them. All share one
+// precomputed hash, so seeding doesn't hash 100k passwords.
+async function seedUsers(from, size, organization, password) {
+  for (let start = from; start < size; start += BATCH_SIZE) {
+    const docs = [];
+    for (let index = start; index < Math.min(size, start + BATCH_SIZE); index++) {
+      docs.push({
+        email: emailFor(index),
+        password,
+        username: `bench_user${index}`,
+        organization
+      });
+    }
+    await User.insertMany(docs, { lean: true });
+  }
+}
+
+async function measure(size) {
+  const timings = [];
+  for (let i = 0; i < LOOKUPS; i++) {
+    // Mostly existing users, some unknown emails (failed logins)
+    const email = i % 10 === 0 ? `missing${i}@example.com` : emailFor(Math.floor(Math.random() * size));
+    const start = process.hrtime.bigint();
+    await User.findByEmail(email);
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  timings.sort((a, b) => a - b);
+  return { p50: percentile(timings, 0.5), p95: percentile(timings, 0.95) };
+}
+
+async function main() {
+  await mongoose.connect(MONGODB_URI);
+  await User.init();
+
+  if (await User.estimatedDocumentCount() > 0) {
+    throw new Error(`${MONGODB_URI} already has users; point MONGODB_URI at an empty database`);
+  }
+
+  try {
+    const organization = new mongoose.Types.ObjectId();
+    const password = await User.hashPassword('Bench@1234');
+
+    const plan = await User.findOne({ email: emailFor(0) }).explain('queryPlanner');
+    const stage = JSON.stringify(plan.queryPlanner?.winningPlan || plan);
+    console.log(`Email lookup plan uses ${stage.includes('IXSCAN') ? 'an index scan' : 'a COLLECTION SCAN'}`);
+
+    let seeded = 0;
+    for (const size of SIZES) {
+      await seedUsers(seeded, size, organization, password);
+      seeded = size;
+
+      const { p50, p95 } = await measure(size);
+      console.log(`${String(size).padStart(7)} users: p50 ${p50.toFixed(2)} ms, p95 ${p95.toFixed(2)} ms`);
+    }
+  } finally {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('Benchmark failed:', error.message);
+  process.exit(1);
+});
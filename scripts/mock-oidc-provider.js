@@ -0,0 +1,208 @@
+// Mock OpenID Connect provider for trying single sign-on locally. Supports
+// the authorization-code flow with PKCE (S256) and signs ID tokens with a
+// key generated at startup. The sign-in page lets you pick the email,
+// subject and groups to sign in with.
+//
+//   npm run mock:oidc
+//
+// Then, as an admin with sso:manage, register it (issuer and client below):
+//
+//   POST /api/identity-providers
+//   { "slug": "mock", "name": "Mock IdP", "issuer": "http://localhost:4000",
+//     "clientId": "partner-portal", "clientSecret": "mock-secret",
+//     "roleMappings": [{ "group": "admins", "role": "admin" }] }
+//
+// and start signing in with GET /api/auth/sso/mock/authorize. The port and
+// client can be changed with MOCK_OIDC_PORT, MOCK_OIDC_CLIENT_ID and
+// MOCK_OIDC_CLIENT_SECRET (empty for a public client). Everything is kept in
+// memory; never run this anywhere but a development machine.
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'partner-portal';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET ?? 'mock-secret';
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 5 * 60;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued codes and access tokens
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const signJwt = (payload) => {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), privateKey);
+  return `${header}.${body}.${signature.toString('base64url')}`;
+};
+
+const oauthError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+// Client credentials from the Authorization header or the form body
+const authenticateClient = (req) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+  if (scheme === 'Basic' && credentials) {
+    const [id, secret] = Buffer.from(credentials, 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret || '');
+  }
+  return clientId === CLIENT_ID && (!CLIENT_SECRET || clientSecret === CLIENT_SECRET);
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups'],
+    claims_supported: ['sub', 'email', 'email_verified', 'name', 'preferred_username', 'groups']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+// Sign-in page: the request is carried through as hidden fields
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } = req.query;
+  if (client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).send('Unknown client or missing redirect_uri');
+  }
+  if (response_type !== 'code' || !code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('Only response_type=code with an S256 code_challenge is supported');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'scope', 'state', 'nonce', 'code_challenge']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n');
+
+  res.send(`<!doctype html>
+<title>Mock IdP</title>
+<h1>Mock IdP sign-in</h1>
+<form method="post" action="/authorize">
+${hidden}
+<p><label>Email <input name="email" value="jane.doe@partner.example"></label></p>
+<p><label>Subject <input name="sub" value="mock-user-1"></label></p>
+<p><label>Name <input name="name" value="Jane Doe"></label></p>
+<p><label>Groups (comma-separated) <input name="groups" value="admins"></label></p>
+<p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+<p><button name="decision" value="allow">Sign in</button>
+<button name="decision" value="deny">Deny</button></p>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri, state } = req.body;
+  const redirect = new URL(redirect_uri);
+  if (state) {
+    redirect.searchParams.set('state', state);
+  }
+
+  if (req.body.decision !== 'allow') {
+    redirect.searchParams.set('error', 'access_denied');
+    return res.redirect(redirect.toString());
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: req.body.code_challenge,
+    nonce: req.body.nonce,
+    scope: req.body.scope,
+    claims: {
+      sub: req.body.sub,
+      email: req.body.email,
+      email_verified: req.body.email_verified === 'true',
+      name: req.body.name,
+      preferred_username: req.body.email.split('@')[0],
+      groups: req.body.groups.split(',').map((group) => group.trim()).filter(Boolean)
+    },
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  if (!authenticateClient(req)) {
+    return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+  if (req.body.grant_type !== 'authorization_code') {
+    return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  // Codes are single-use
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+    return oauthError(res, 400, 'invalid_grant', 'Invalid or expired code');
+  }
+
+  const challenge = crypto.createHash('sha256')
+    .update(String(req.body.code_verifier || ''))
+    .digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, { claims: grant.claims, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    scope: grant.scope,
+    id_token: signJwt({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      iat: now,
+      exp: now + TOKEN_TTL_SECONDS,
+      nonce: grant.nonce,
+      ...grant.claims
+    })
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const grant = scheme === 'Bearer' ? accessTokens.get(token) : null;
+  if (!grant || grant.expiresAt < Date.now()) {
+    return oauthError(res, 401, 'invalid_token', 'Invalid or expired access token');
+  }
+  res.json(grant.claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider at ${ISSUER} (client_id=${CLIENT_ID})`);
+});
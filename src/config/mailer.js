@@ -0,0 +1,76 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Available mail transports. Each factory returns an object with
+// an async send(message) method.
+const transports = {
+  // Print emails to stdout (default, useful for local development)
+  console: () => ({
+    async send(message) {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    }
+  }),
+
+  // Write each email as a JSON file into MAIL_FILE_DIR
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    return {
+      async send(message) {
+        await fs.mkdir(dir, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+        await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+      }
+    };
+  },
+
+  // Send through an SMTP server
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  }
+};
+
+let mailTransport;
+
+function getMailTransport() {
+  if (!mailTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    mailTransport = transports[name]();
+  }
+  return mailTransport;
+}
+
+// Replace the active transport (e.g. with a custom implementation)
+function setMailTransport(transport) {
+  mailTransport = transport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const transport = getMailTransport();
+  await transport.send({
+    from: process.env.MAIL_FROM || 'Partner Portal <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+}
+
+module.exports = {
+  sendMail,
+  setMailTransport,
+  getMailTransport
+};
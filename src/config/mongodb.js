@@ -11,6 +11,20 @@ async function initializeMongoDB() {
   }
 }
 
+// Bring the indexes in line with the schemas. Indexes the schemas no longer
+// declare are dropped, e.g. the global unique username index from before
+// usernames became unique per organization, which would otherwise reject
+// the same username in a second organization.
+async function syncIndexes() {
+  const dropped = await mongoose.connection.syncIndexes();
+  Object.entries(dropped).forEach(([model, indexes]) => {
+    if (indexes.length > 0) {
+      console.log(`Dropped outdated ${model} indexes: ${indexes.join(', ')}`);
+    }
+  });
+}
+
 module.exports = {
-  initializeMongoDB
+  initializeMongoDB,
+  syncIndexes
 }; 
\ No newline at end of file
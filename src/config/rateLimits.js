@@ -0,0 +1,75 @@
+const fs = require('fs');
+
+// Default quotas per limiter. `max` applies to anonymous callers and to
+// roles without an entry in `roles`.
+const DEFAULT_RATE_LIMITS = {
+  global: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100,
+    roles: {
+      'super-admin': 1000,
+      admin: 1000,
+      editor: 300
+    }
+  },
+  auth: {
+    windowMs: 60 * 1000, // 1 minute
+    max: 10,
+    roles: {}
+  },
+  username: {
+    windowMs: 60 * 1000, // 1 minute
+    max: 20,
+    roles: {}
+  }
+};
+
+// Read overrides from the JSON file named by RATE_LIMIT_CONFIG, e.g.
+// { "global": { "max": 200, "roles": { "admin": 5000 } } }
+const loadConfigFile = () => {
+  if (!process.env.RATE_LIMIT_CONFIG) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(process.env.RATE_LIMIT_CONFIG, 'utf8'));
+  } catch (error) {
+    console.warn('Warning: Could not read rate limit config:', error.message);
+    return {};
+  }
+};
+
+// Environment overrides win over the config file:
+// RATE_LIMIT_<NAME>_MAX, RATE_LIMIT_<NAME>_WINDOW_MS, RATE_LIMIT_<NAME>_MAX_<ROLE>
+const applyEnvOverrides = (name, limits) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}_`;
+  Object.entries(process.env).forEach(([key, value]) => {
+    if (!key.startsWith(prefix) || !Number(value)) {
+      return;
+    }
+    const option = key.slice(prefix.length);
+    if (option === 'MAX') {
+      limits.max = Number(value);
+    } else if (option === 'WINDOW_MS') {
+      limits.windowMs = Number(value);
+    } else if (option.startsWith('MAX_')) {
+      limits.roles[option.slice(4).toLowerCase()] = Number(value);
+    }
+  });
+  return limits;
+};
+
+function getRateLimitConfig(name) {
+  const fileConfig = loadConfigFile()[name] || {};
+  const defaults = DEFAULT_RATE_LIMITS[name];
+
+  return applyEnvOverrides(name, {
+    windowMs: fileConfig.windowMs || defaults.windowMs,
+    max: fileConfig.max || defaults.max,
+    roles: { ...defaults.roles, ...fileConfig.roles }
+  });
+}
+
+module.exports = {
+  getRateLimitConfig,
+  DEFAULT_RATE_LIMITS
+};
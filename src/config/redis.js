@@ -1,8 +1,20 @@
 const Redis = require('redis');
 
 let redisClient;
+let initializePromise;
 
-async function initializeRedis() {
+// Connect once; concurrent callers share the same client
+function initializeRedis() {
+  if (!initializePromise) {
+    initializePromise = connectRedis().catch((error) => {
+      initializePromise = null;
+      throw error;
+    });
+  }
+  return initializePromise;
+}
+
+async function connectRedis() {
   try {
     // Default configuration if no REDIS_URI is provided
     const config = {
@@ -38,16 +50,7 @@ async function initializeRedis() {
     });
 
     await redisClient.connect();
-
-    // Initialize Bloom filter for usernames if it doesn't exist
-    try {
-      await redisClient.sendCommand(['BF.RESERVE', 'usernames', '0.01', '10000']);
-    } catch (error) {
-      // Ignore error if filter already exists
-      if (!error.message.includes('already exists')) {
-        console.warn('Warning: Could not create Bloom filter:', error.message);
-      }
-    }
+    await subscribeToInvalidations(redisClient);
 
     return redisClient;
   } catch (error) {
@@ -57,34 +60,195 @@ async function initializeRedis() {
 }
 
 async function getRedisClient() {
-  if (!redisClient) {
-    await initializeRedis();
+  return initializeRedis();
+}
+
+// Cache hit/miss counters of this instance, by key type (first key segment)
+const cacheStats = {};
+const statsSince = new Date();
+
+const countCacheLookup = (key, hit) => {
+  const type = key.split(':')[0];
+  const stats = cacheStats[type] || (cacheStats[type] = { hits: 0, misses: 0 });
+  stats[hit ? 'hits' : 'misses']++;
+};
+
+function getCacheStats() {
+  const types = Object.entries(cacheStats).reduce((result, [type, { hits, misses }]) => {
+    result[type] = { hits, misses, hitRate: hits / (hits + misses) };
+    return result;
+  }, {});
+  return { since: statsSince, types };
+}
+
+// Versioned namespaces. Keys of a namespace embed its current version, so
+// bumping the version invalidates all of them at once; the orphaned keys
+// simply expire. Versions are kept locally for a few seconds, and every
+// instance drops its copy as soon as an invalidation is broadcast.
+const INVALIDATION_CHANNEL = 'cache:invalidate';
+const NAMESPACE_VERSION_KEY = (namespace) => `cache_version:${namespace}`;
+const namespaceVersions = new Map();
+
+// Seconds a version is trusted without a broadcast (covers lost messages)
+const getVersionTtl = () => (Number(process.env.CACHE_VERSION_TTL) || 10) * 1000;
+
+async function subscribeToInvalidations(client) {
+  const subscriber = client.duplicate();
+  subscriber.on('error', (err) => {
+    console.error('Redis Subscriber Error:', err);
+  });
+  await subscriber.connect();
+  await subscriber.subscribe(INVALIDATION_CHANNEL, (namespace) => {
+    namespaceVersions.delete(namespace);
+  });
+}
+
+async function getNamespaceVersion(namespace) {
+  const local = namespaceVersions.get(namespace);
+  if (local && local.expiresAt > Date.now()) {
+    return local.version;
+  }
+
+  const client = await getRedisClient();
+  const version = Number(await client.get(NAMESPACE_VERSION_KEY(namespace))) || 0;
+  namespaceVersions.set(namespace, { version, expiresAt: Date.now() + getVersionTtl() });
+  return version;
+}
+
+// Key within the current version of a namespace. Read it once and use it for
+// both the lookup and the store, so data loaded during an invalidation lands
+// in the old version. Null if Redis is unavailable (cacheGet/cacheSet then
+// do nothing).
+async function namespacedKey(namespace, key) {
+  try {
+    const version = await getNamespaceVersion(namespace);
+    return `${namespace}:v${version}${key ? `:${key}` : ''}`;
+  } catch (error) {
+    console.error('Error reading cache namespace:', error.message);
+    return null;
+  }
+}
+
+async function invalidateNamespace(namespace) {
+  try {
+    const client = await getRedisClient();
+    const version = await client.incr(NAMESPACE_VERSION_KEY(namespace));
+    namespaceVersions.set(namespace, { version, expiresAt: Date.now() + getVersionTtl() });
+    await client.publish(INVALIDATION_CHANNEL, namespace);
+  } catch (error) {
+    console.error('Error invalidating cache namespace:', error.message);
   }
-  return redisClient;
 }
 
-async function addToBloomFilter(username) {
+// Usernames are unique per organization, so each one has its own filter.
+// These are Cuckoo filters (RedisBloom), which unlike Bloom filters support
+// removing renamed and purged usernames.
+const USERNAME_FILTER_KEY = (organizationId) => `username_filter:${organizationId}`;
+// Bloom filters used before removal was supported
+const LEGACY_BLOOM_FILTER_KEY = (organizationId) => `usernames:${organizationId}`;
+
+// Capacity of filters created on first use (rebuilds size them to the
+// organization)
+const getUsernameFilterCapacity = () => Number(process.env.USERNAME_FILTER_CAPACITY) || 10000;
+
+// Accepts a single username or an array (added in one command). Every add
+// must be matched by exactly one removal: the filter keeps one entry per
+// add, so a name is never skipped because another name's entry looks the
+// same (CF.INSERTNX does skip it, and the name then goes missing once the
+// other one is removed).
+async function addToUsernameFilter(usernames, organizationId) {
   try {
     const client = await getRedisClient();
-    return client.sendCommand(['BF.ADD', 'usernames', username]);
+    // CF.ADD for several names, creating the filter on first use
+    return await client.sendCommand([
+      'CF.INSERT', USERNAME_FILTER_KEY(organizationId),
+      'CAPACITY', String(getUsernameFilterCapacity()),
+      'ITEMS', ...[].concat(usernames)
+    ]);
   } catch (error) {
-    console.error('Error adding to Bloom filter:', error.message);
+    console.error('Error adding to username filter:', error.message);
     return false;
   }
 }
 
-async function checkBloomFilter(username) {
+// Only remove usernames that were added, or another name may be dropped
+async function removeFromUsernameFilter(username, organizationId) {
   try {
     const client = await getRedisClient();
-    const result = await client.sendCommand(['BF.EXISTS', 'usernames', username]);
-    return result === 1;
+    return await client.sendCommand(['CF.DEL', USERNAME_FILTER_KEY(organizationId), username]);
   } catch (error) {
-    console.error('Error checking Bloom filter:', error.message);
+    console.error('Error removing from username filter:', error.message);
     return false;
   }
 }
 
+async function checkUsernameFilter(username, organizationId) {
+  try {
+    const client = await getRedisClient();
+    const result = await client.sendCommand(['CF.EXISTS', USERNAME_FILTER_KEY(organizationId), username]);
+    return result === 1;
+  } catch (error) {
+    console.error('Error checking username filter:', error.message);
+    // Unknown, so callers fall back to the database
+    return true;
+  }
+}
+
+// Check several usernames in one command; returns a boolean per username
+async function checkUsernameFilterMany(usernames, organizationId) {
+  try {
+    const client = await getRedisClient();
+    const results = await client.sendCommand(['CF.MEXISTS', USERNAME_FILTER_KEY(organizationId), ...usernames]);
+    return results.map((result) => result === 1);
+  } catch (error) {
+    console.error('Error checking username filter:', error.message);
+    return usernames.map(() => true);
+  }
+}
+
+async function usernameFilterExists(organizationId) {
+  const client = await getRedisClient();
+  return (await client.exists(USERNAME_FILTER_KEY(organizationId))) === 1;
+}
+
+// Build a new filter from an (async) iterable of usernames and swap it in
+// atomically. The filter is built under a temporary key that expires if the
+// build is interrupted.
+async function replaceUsernameFilter(organizationId, usernames, capacity) {
+  const client = await getRedisClient();
+  const key = USERNAME_FILTER_KEY(organizationId);
+  const buildKey = `${key}:build:${Date.now()}`;
+
+  await client.sendCommand(['CF.RESERVE', buildKey, String(capacity)]);
+  await client.expire(buildKey, 60 * 60);
+
+  let batch = [];
+  const flush = async () => {
+    if (batch.length > 0) {
+      await client.sendCommand(['CF.INSERT', buildKey, 'NOCREATE', 'ITEMS', ...batch]);
+      batch = [];
+    }
+  };
+  for await (const username of usernames) {
+    batch.push(username);
+    if (batch.length >= 1000) {
+      await flush();
+    }
+  }
+  await flush();
+
+  // RENAME keeps the temporary key's expiry, so clear it in the same step
+  await client.multi()
+    .rename(buildKey, key)
+    .persist(key)
+    .unlink(LEGACY_BLOOM_FILTER_KEY(organizationId))
+    .exec();
+}
+
 async function cacheSet(key, value, expireSeconds = 3600) {
+  if (!key) {
+    return;
+  }
   try {
     const client = await getRedisClient();
     await client.set(key, JSON.stringify(value), {
@@ -96,9 +260,13 @@ async function cacheSet(key, value, expireSeconds = 3600) {
 }
 
 async function cacheGet(key) {
+  if (!key) {
+    return null;
+  }
   try {
     const client = await getRedisClient();
     const value = await client.get(key);
+    countCacheLookup(key, Boolean(value));
     return value ? JSON.parse(value) : null;
   } catch (error) {
     console.error('Error getting from cache:', error.message);
@@ -115,12 +283,21 @@ async function cacheDelete(key) {
   }
 }
 
+// Delete keys matching a pattern, in batches. Uses SCAN rather than KEYS so
+// Redis keeps serving other clients on large keyspaces.
 async function cacheDeletePattern(pattern) {
   try {
     const client = await getRedisClient();
-    const keys = await client.keys(pattern);
+    let keys = [];
+    for await (const key of client.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      keys.push(key);
+      if (keys.length >= 500) {
+        await client.unlink(keys);
+        keys = [];
+      }
+    }
     if (keys.length > 0) {
-      await client.del(keys);
+      await client.unlink(keys);
     }
   } catch (error) {
     console.error('Error deleting pattern from cache:', error.message);
@@ -129,19 +306,32 @@ async function cacheDeletePattern(pattern) {
 
 // Cache keys
 const CACHE_KEYS = {
-  USER: (username) => `user:${username}`,
-  ALL_USERS: 'all_users',
-  USER_PREFIX: 'user:'
+  USER: (organizationId, username) => `user:${organizationId}:${username}`,
+  USER_EMAIL: (email) => `user_email:${email}`,
+  // Namespace (see namespacedKey) of user list results
+  ALL_USERS: (organizationId) => `all_users:${organizationId || 'all'}`,
+  USER_PREFIX: 'user:',
+  ROLE: (name) => `role:${name}`,
+  ORGANIZATION: (slug) => `organization:${slug}`,
+  ORGANIZATION_STATUS: (organizationId) => `organization_status:${organizationId}`,
+  TWO_FACTOR_POLICY: (organizationId) => `two_factor_policy:${organizationId}`
 };
 
 module.exports = {
   initializeRedis,
   getRedisClient,
-  addToBloomFilter,
-  checkBloomFilter,
+  addToUsernameFilter,
+  removeFromUsernameFilter,
+  checkUsernameFilter,
+  checkUsernameFilterMany,
+  usernameFilterExists,
+  replaceUsernameFilter,
   cacheSet,
   cacheGet,
   cacheDelete,
   cacheDeletePattern,
+  namespacedKey,
+  invalidateNamespace,
+  getCacheStats,
   CACHE_KEYS
 }; 
\ No newline at end of file
@@ -2,22 +2,50 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const { initializeMongoDB } = require('./config/mongodb');
+const { initializeMongoDB, syncIndexes } = require('./config/mongodb');
 const { initializeRedis } = require('./config/redis');
 const authRoutes = require('./routes/auth.routes');
 const userRoutes = require('./routes/user.routes');
+const roleRoutes = require('./routes/role.routes');
+const organizationRoutes = require('./routes/organization.routes');
+const invitationRoutes = require('./routes/invitation.routes');
+const auditRoutes = require('./routes/audit.routes');
+const metricsRoutes = require('./routes/metrics.routes');
+const ssoRoutes = require('./routes/sso.routes');
+const identityProviderRoutes = require('./routes/identityProvider.routes');
+const { User } = require('./models/user.model');
+const { Role } = require('./models/role.model');
+const { Organization } = require('./models/organization.model');
 const errorHandler = require('./middleware/errorHandler');
+const { requestId } = require('./middleware/requestId');
+const { startUserPurgeJob } = require('./services/userRetention.service');
+const { ensureUsernameFilters } = require('./services/usernameFilter.service');
+const { getStorage, getStorageConfig } = require('./services/storage.service');
 
 const app = express();
 
 // Middleware
+app.use(requestId);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
 
+// Uploaded files such as avatars, when the storage driver serves them itself
+const storage = getStorage();
+if (storage.handler) {
+  app.use(getStorageConfig().baseUrl, storage.handler());
+}
+
 // Routes
+app.use('/api/auth/sso', ssoRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/metrics', metricsRoutes);
+app.use('/api/identity-providers', identityProviderRoutes);
 
 // Error handler
 app.use(errorHandler);
@@ -29,7 +57,19 @@ Promise.all([
   initializeMongoDB(),
   initializeRedis(),
 ])
+  .then(() => syncIndexes())
+  .then(() => Role.seedDefaults())
+  .then(() => Organization.seedDefault())
+  .then(() => User.ensureSuperAdmin())
+  .then((promoted) => promoted && console.log(`Promoted ${promoted.email} to super-admin`))
+  .then(() => ensureUsernameFilters())
   .then(() => {
+    // Backfill in the background; users without keys are missing from
+    // search results until it's done
+    User.ensureSearchKeys()
+      .then((updated) => updated > 0 && console.log(`Added search keys to ${updated} users`))
+      .catch((error) => console.error('Error adding search keys:', error.message));
+    startUserPurgeJob();
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
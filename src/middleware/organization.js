@@ -0,0 +1,54 @@
+const { Organization } = require('../models/organization.model');
+const { Role, PERMISSIONS } = require('../models/role.model');
+
+// Resolve the organization a request acts on (must run after auth).
+// Users with orgs:cross-org can target any organization with
+// ?organization=<slug>, or all organizations on list endpoints by leaving it
+// out. Everyone else is limited to their own organization.
+//
+// Sets req.organizationId (for single-user lookups) and req.orgFilter (for
+// list queries).
+const scopeOrganization = async (req, res, next) => {
+  try {
+    const permissions = req.permissions || await Role.getPermissions(req.user.role);
+    const canCrossOrg = permissions.includes(PERMISSIONS.ORGS_CROSS);
+    const slug = req.query.organization;
+
+    req.organizationId = req.user.organization;
+    req.orgFilter = { organization: req.user.organization };
+
+    if (slug) {
+      const organization = await Organization.findBySlug(String(slug).toLowerCase());
+      if (!organization) {
+        return res.status(404).json({
+          error: {
+            code: 'RESOURCE_NOT_FOUND',
+            message: 'Organization not found'
+          }
+        });
+      }
+
+      if (!canCrossOrg && !organization._id.equals(req.user.organization)) {
+        return res.status(403).json({
+          error: {
+            code: 'AUTHORIZATION_ERROR',
+            message: 'Access to other organizations is not allowed'
+          }
+        });
+      }
+
+      req.organizationId = organization._id;
+      req.orgFilter = { organization: organization._id };
+    } else if (canCrossOrg) {
+      req.orgFilter = {};
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  scopeOrganization
+};
@@ -1,55 +1,98 @@
 const rateLimit = require('express-rate-limit');
+const { RedisStore } = require('rate-limit-redis');
+const { getRedisClient } = require('../config/redis');
+const { getRateLimitConfig } = require('../config/rateLimits');
+const { User } = require('../models/user.model');
+const { verifyAccessToken } = require('../services/token.service');
 
-// Global rate limiter
-const globalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: {
-    error: {
-      code: 'RATE_LIMIT_ERROR',
-      message: 'Too many requests from this IP, please try again later.'
+// Identify the caller by user id when a valid access token of a live
+// session is present, otherwise by IP. The token and role are checked like
+// in the auth middleware, so quotas follow logouts and role changes right
+// away.
+const resolveRequester = async (req) => {
+  if (req.user) {
+    return { key: `user:${req.user._id}`, role: req.user.role };
+  }
+
+  const authHeader = req.header('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const decoded = await verifyAccessToken(authHeader.replace('Bearer ', ''), { ip: req.ip });
+      const user = decoded ? await User.findById(decoded.userId).select('role deletedAt') : null;
+      if (user && !user.deletedAt) {
+        return { key: `user:${user._id}`, role: user.role };
+      }
+    } catch (error) {
+      // Invalid tokens are limited by IP
     }
-  },
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-  skipFailedRequests: false, // Don't skip failed requests (count them towards limit)
-  skipSuccessfulRequests: false, // Don't skip successful requests (count them towards limit)
-  trustProxy: true // Trust the X-Forwarded-For header for IP
+  }
+  return { key: `ip:${req.ip}`, role: null };
+};
+
+// Resolved once per request and shared by all limiters
+const getRequester = (req) => {
+  if (!req.rateLimitRequester) {
+    req.rateLimitRequester = resolveRequester(req);
+  }
+  return req.rateLimitRequester;
+};
+
+// Shared Redis store so all instances count against the same quota
+const createStore = (name) => new RedisStore({
+  prefix: `rl:${name}:`,
+  sendCommand: async (...args) => {
+    const client = await getRedisClient();
+    return client.sendCommand(args);
+  }
 });
 
-// Auth endpoints rate limiter (more strict)
-const authLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 10, // Limit each IP to 10 requests per windowMs
-  message: {
-    error: {
-      code: 'RATE_LIMIT_ERROR',
-      message: 'Too many authentication attempts, please try again later.'
+const buildLimiter = (name, message) => {
+  const config = getRateLimitConfig(name);
+
+  return rateLimit({
+    windowMs: config.windowMs,
+    // Per-role quota for authenticated callers, default quota otherwise
+    max: async (req) => {
+      const { role } = await getRequester(req);
+      return (role && config.roles[role]) || config.max;
+    },
+    keyGenerator: async (req) => (await getRequester(req)).key,
+    store: createStore(name),
+    message: {
+      error: {
+        code: 'RATE_LIMIT_ERROR',
+        message
+      }
+    },
+    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+    legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+    skipFailedRequests: false, // Don't skip failed requests (count them towards limit)
+    skipSuccessfulRequests: false, // Don't skip successful requests (count them towards limit)
+    passOnStoreError: true, // Don't block requests if Redis is unavailable
+    validate: { creationStack: false } // Built in a request handler on purpose (see createLimiter)
+  });
+};
+
+// The limiter and its store are built on first use: the store loads its
+// script into Redis when created, which shouldn't happen on require
+const createLimiter = (name, message) => {
+  let limiter;
+  return (req, res, next) => {
+    if (!limiter) {
+      limiter = buildLimiter(name, message);
     }
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skipFailedRequests: false,
-  skipSuccessfulRequests: false,
-  trustProxy: true
-});
+    return limiter(req, res, next);
+  };
+};
+
+// Global rate limiter
+const globalLimiter = createLimiter('global', 'Too many requests, please try again later.');
+
+// Auth endpoints rate limiter (more strict)
+const authLimiter = createLimiter('auth', 'Too many authentication attempts, please try again later.');
 
 // Username validation rate limiter
-const usernameLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 20, // Limit each IP to 20 requests per windowMs
-  message: {
-    error: {
-      code: 'RATE_LIMIT_ERROR',
-      message: 'Too many username validation attempts, please try again later.'
-    }
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skipFailedRequests: false,
-  skipSuccessfulRequests: false,
-  trustProxy: true
-});
+const usernameLimiter = createLimiter('username', 'Too many username validation attempts, please try again later.');
 
 // Export limiters with try-catch wrapper
 const wrapLimiter = (limiter) => {
@@ -68,4 +111,4 @@ module.exports = {
   globalLimiter: wrapLimiter(globalLimiter),
   authLimiter: wrapLimiter(authLimiter),
   usernameLimiter: wrapLimiter(usernameLimiter)
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Tag every request with an id (reusing a well-formed incoming X-Request-Id,
+// e.g. from a proxy) and echo it in the response
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+};
+
+module.exports = {
+  requestId
+};
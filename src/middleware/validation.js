@@ -0,0 +1,83 @@
+const { body, validationResult } = require('express-validator');
+const { checkPassword } = require('../services/passwordPolicy.service');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Usernames new accounts can't take, overridable with RESERVED_USERNAMES
+// (comma-separated; empty to reserve none). Includes the words used in
+// /users/... routes. Existing users keep their names.
+const DEFAULT_RESERVED_USERNAMES = [
+  'admin', 'administrator', 'root', 'superuser', 'support', 'help', 'security',
+  'system', 'staff', 'moderator', 'postmaster', 'webmaster', 'noreply', 'api',
+  'null', 'undefined', 'me', 'all', 'search', 'import', 'export', 'bulk', 'validate'
+];
+
+const getReservedUsernames = () =>
+  (process.env.RESERVED_USERNAMES ?? DEFAULT_RESERVED_USERNAMES.join(','))
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+// Reserved names are matched case-insensitively
+const isReservedUsername = (username) =>
+  getReservedUsernames().includes(String(username).toLowerCase());
+
+// Rules for a new username
+const usernameRules = (field = 'username') =>
+  body(field)
+    .isLength({ min: 3 })
+    .matches(USERNAME_PATTERN)
+    .custom((value) => !isReservedUsername(value))
+    .withMessage('Username is reserved');
+
+// Rules for a new password (see passwordPolicy.service.js). The username
+// and email are taken from the same body when present; history checks need
+// the user and are left to the route.
+const passwordRules = (field = 'password') =>
+  body(field)
+    .isString()
+    .withMessage('Password must be a string')
+    .bail()
+    .custom(async (password, { req }) => {
+      const errors = await checkPassword(password, {
+        username: req.body.username,
+        email: req.body.email
+      });
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+      return true;
+    });
+
+// Rules for new accounts, shared by signup and bulk import
+const validateSignup = [
+  body('email').isEmail().normalizeEmail(),
+  usernameRules(),
+  passwordRules(),
+  body('fullName').optional().trim().escape(),
+  body('role').optional(),
+  body('organization').optional().isString().trim().toLowerCase(),
+  body('device').optional().isString().trim().isLength({ max: 100 }).escape()
+];
+
+// Run validation chains against a plain object instead of a request.
+// Returns the sanitized data and the list of errors.
+const validateObject = async (chains, data) => {
+  const req = { body: { ...data } };
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+  return {
+    data: req.body,
+    errors: validationResult(req).array()
+  };
+};
+
+module.exports = {
+  USERNAME_PATTERN,
+  isReservedUsername,
+  usernameRules,
+  passwordRules,
+  validateSignup,
+  validateObject
+};
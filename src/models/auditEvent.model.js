@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = {
+  USER_UPDATE: 'user.update',
+  USER_DELETE: 'user.delete',
+  USER_RESTORE: 'user.restore',
+  USER_PURGE: 'user.purge',
+  USER_IMPORT: 'user.import',
+  USER_EXPORT: 'user.export',
+  USER_UNLOCK: 'user.unlock',
+  USER_SESSIONS_REVOKE: 'user.sessions.revoke',
+  USER_PASSWORD_REHASH: 'user.password.rehash',
+  USER_PROVISION: 'user.provision',
+  USER_IDENTITY_LINK: 'user.identity.link',
+  ORGANIZATION_UPDATE: 'organization.update',
+  INVITATION_CREATE: 'invitation.create',
+  INVITATION_RESEND: 'invitation.resend',
+  INVITATION_REVOKE: 'invitation.revoke',
+  ROLE_CREATE: 'role.create',
+  ROLE_UPDATE: 'role.update',
+  ROLE_DELETE: 'role.delete',
+  IDENTITY_PROVIDER_CREATE: 'identity-provider.create',
+  IDENTITY_PROVIDER_UPDATE: 'identity-provider.update',
+  IDENTITY_PROVIDER_DELETE: 'identity-provider.delete',
+  LOGIN_SUCCESS: 'auth.login.success',
+  LOGIN_FAILURE: 'auth.login.failure'
+};
+
+// Who or what an event refers to. Identifying fields are copied so events
+// stay readable after the user is renamed or deleted.
+const subjectSchema = new mongoose.Schema({
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  username: String,
+  email: String
+}, {
+  _id: false
+});
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: Object.values(AUDIT_ACTIONS)
+  },
+  actor: subjectSchema,
+  target: subjectSchema,
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  changes: [changeSchema],
+  // Extra context, e.g. the reason a login failed
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  requestId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Queries page newest first by _id
+auditEventSchema.index({ organization: 1, _id: -1 });
+auditEventSchema.index({ 'actor.id': 1, _id: -1 });
+auditEventSchema.index({ 'target.id': 1, _id: -1 });
+auditEventSchema.index({ action: 1, _id: -1 });
+
+// Events are append-only: block every update and delete
+const rejectModification = function(next) {
+  next(new Error('Audit events cannot be modified or deleted'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectModification(next);
+  }
+  next();
+});
+
+auditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], { document: true, query: true }, rejectModification);
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = {
+  AuditEvent,
+  AUDIT_ACTIONS
+};
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// IdP group mapped to a role; the first matching mapping wins
+const roleMappingSchema = new mongoose.Schema({
+  group: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  }
+}, { _id: false });
+
+// An OpenID Connect provider users can sign in with. Providers without an
+// organization are global: their users join the default organization.
+const identityProviderSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 50,
+    match: /^[a-z0-9-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Issuer URL; endpoints and keys come from its discovery document
+  issuer: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  clientId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Empty for public clients, which rely on PKCE alone
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  scopes: {
+    type: [String],
+    default: ['openid', 'email', 'profile']
+  },
+  // ID token or userinfo claim holding the user's groups
+  groupsClaim: {
+    type: String,
+    default: 'groups'
+  },
+  roleMappings: {
+    type: [roleMappingSchema],
+    default: []
+  },
+  // Role of provisioned users no mapping applies to
+  defaultRole: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'viewer'
+  },
+  // Create users on their first sign-in
+  provisionUsers: {
+    type: Boolean,
+    default: true
+  },
+  // Link sign-ins to existing users with the same (IdP-verified) email, if
+  // the provider could have given them their role. Other users link the
+  // provider themselves while signed in.
+  linkExistingUsers: {
+    type: Boolean,
+    default: false
+  },
+  // Update the role from the group mappings at every sign-in
+  syncRoles: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+identityProviderSchema.index({ organization: 1 });
+
+// Never expose the client secret
+identityProviderSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.clientSecret;
+  return obj;
+};
+
+// Role for a list of IdP groups, or null if no mapping matches
+identityProviderSchema.methods.mapGroupsToRole = function(groups) {
+  const names = new Set([].concat(groups || []).map(String));
+  const mapping = this.roleMappings.find(({ group }) => names.has(group));
+  return mapping ? mapping.role : null;
+};
+
+// Roles the provider hands out: the default role and the mapped ones
+identityProviderSchema.methods.getAssignedRoles = function() {
+  return [...new Set([this.defaultRole, ...this.roleMappings.map(({ role }) => role)].filter(Boolean))];
+};
+
+// Active providers offered to users of an organization: its own and the
+// global ones
+identityProviderSchema.statics.findForOrganization = function(organizationId) {
+  return this.find({
+    isActive: true,
+    organization: { $in: [organizationId, null] }
+  }).sort({ name: 1 });
+};
+
+const IdentityProvider = mongoose.model('IdentityProvider', identityProviderSchema);
+
+module.exports = {
+  IdentityProvider
+};
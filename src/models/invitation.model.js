@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked'
+};
+
+const TOKEN_AUDIENCE = 'invitation';
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: Object.values(INVITATION_STATUS),
+    default: INVITATION_STATUS.PENDING
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Id of the currently valid token; changes on resend
+  tokenId: {
+    type: String,
+    required: true,
+    default: () => crypto.randomUUID()
+  },
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ organization: 1, status: 1, createdAt: -1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+invitationSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// Remove the token id when converting to JSON
+invitationSchema.methods.toJSON = function() {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.tokenId;
+  delete obj.id;
+  return obj;
+};
+
+// Sign a token for the current tokenId, valid until the invitation expires
+invitationSchema.methods.generateToken = function() {
+  const expiresIn = Math.max(1, Math.floor((this.expiresAt.getTime() - Date.now()) / 1000));
+  return jwt.sign({ invitationId: String(this._id) }, process.env.JWT_SECRET, {
+    audience: TOKEN_AUDIENCE,
+    jwtid: this.tokenId,
+    expiresIn
+  });
+};
+
+// Replace the token (invalidating previously sent ones) and extend the expiry
+invitationSchema.methods.renewToken = function(expiresAt) {
+  this.tokenId = crypto.randomUUID();
+  this.expiresAt = expiresAt;
+  return this.generateToken();
+};
+
+// Static method to find the pending invitation a token belongs to
+invitationSchema.statics.findByToken = async function(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+
+  const invitation = await this.findById(decoded.invitationId);
+  if (
+    !invitation ||
+    invitation.tokenId !== decoded.jti ||
+    invitation.status !== INVITATION_STATUS.PENDING ||
+    invitation.isExpired
+  ) {
+    return null;
+  }
+  return invitation;
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = {
+  Invitation,
+  INVITATION_STATUS
+};
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const { cacheSet, cacheGet, cacheDelete, CACHE_KEYS } = require('../config/redis');
+
+// Types of custom user attributes
+const ATTRIBUTE_TYPES = {
+  STRING: 'string',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+  ENUM: 'enum'
+};
+
+const DEFAULT_ATTRIBUTE_MAX_LENGTH = 500;
+
+// A custom user attribute defined by the organization's admins
+const attributeDefinitionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    match: /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: Object.values(ATTRIBUTE_TYPES)
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Allowed values of enum attributes
+  options: [String],
+  // Longest allowed value of string attributes
+  maxLength: {
+    type: Number,
+    min: 1,
+    max: 10000
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 50,
+    match: /^[a-z0-9-]+$/
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  attributeDefinitions: {
+    type: [attributeDefinitionSchema],
+    default: []
+  },
+  // Roles whose users must enable 2FA. Unset to use TWO_FACTOR_REQUIRED_ROLES.
+  twoFactorRequiredRoles: {
+    type: [String],
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+// Check custom attribute values against an organization's definitions.
+// Returns the values converted to their types (null marks a removal) and
+// the error messages.
+const checkAttributeValues = (values, definitions) => {
+  const result = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    const definition = definitions.find((item) => item.key === key);
+    if (!definition) {
+      errors.push(`Unknown attribute: ${key}`);
+      continue;
+    }
+    if (value === null) {
+      result[key] = null;
+      continue;
+    }
+
+    switch (definition.type) {
+      case ATTRIBUTE_TYPES.STRING:
+        if (typeof value !== 'string' || value.length > (definition.maxLength || DEFAULT_ATTRIBUTE_MAX_LENGTH)) {
+          errors.push(`${key} must be a string of at most ${definition.maxLength || DEFAULT_ATTRIBUTE_MAX_LENGTH} characters`);
+        } else {
+          result[key] = value.trim();
+        }
+        break;
+      case ATTRIBUTE_TYPES.NUMBER:
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push(`${key} must be a number`);
+        } else {
+          result[key] = value;
+        }
+        break;
+      case ATTRIBUTE_TYPES.BOOLEAN:
+        if (typeof value !== 'boolean') {
+          errors.push(`${key} must be true or false`);
+        } else {
+          result[key] = value;
+        }
+        break;
+      case ATTRIBUTE_TYPES.DATE:
+        if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+          errors.push(`${key} must be an ISO 8601 date`);
+        } else {
+          result[key] = new Date(value);
+        }
+        break;
+      case ATTRIBUTE_TYPES.ENUM:
+        if (!definition.options.includes(value)) {
+          errors.push(`${key} must be one of: ${definition.options.join(', ')}`);
+        } else {
+          result[key] = value;
+        }
+        break;
+    }
+  }
+
+  return { values: result, errors };
+};
+
+// Cache operations after save
+organizationSchema.post('save', async function() {
+  await cacheSet(CACHE_KEYS.ORGANIZATION(this.slug), this.toJSON());
+  await cacheDelete(CACHE_KEYS.ORGANIZATION_STATUS(this._id));
+  await cacheDelete(CACHE_KEYS.TWO_FACTOR_POLICY(this._id));
+});
+
+// Static method to find by slug with cache
+organizationSchema.statics.findBySlug = async function(slug) {
+  // Try cache first
+  const cached = await cacheGet(CACHE_KEYS.ORGANIZATION(slug));
+  if (cached) {
+    return this.hydrate(cached);
+  }
+
+  // If not in cache, query database
+  const organization = await this.findOne({ slug });
+  if (organization) {
+    await cacheSet(CACHE_KEYS.ORGANIZATION(slug), organization.toJSON());
+  }
+  return organization;
+};
+
+const getDefaultOrganizationSlug = () => process.env.DEFAULT_ORGANIZATION || 'default';
+
+// Create the default organization and move users without one into it
+organizationSchema.statics.seedDefault = async function() {
+  const slug = getDefaultOrganizationSlug();
+  const organization = await this.findOneAndUpdate(
+    { slug },
+    { $setOnInsert: { slug, name: 'Default Organization' } },
+    { upsert: true, new: true }
+  );
+  await cacheDelete(CACHE_KEYS.ORGANIZATION(slug));
+
+  await mongoose.model('User').updateMany(
+    { organization: { $exists: false } },
+    { $set: { organization: organization._id } }
+  );
+  return organization;
+};
+
+organizationSchema.statics.findDefault = async function() {
+  return this.findBySlug(getDefaultOrganizationSlug());
+};
+
+// Whether an organization is active (unknown ones count as active, like
+// users without one). Cached, as it is checked on every authenticated
+// request.
+organizationSchema.statics.isActiveById = async function(organizationId) {
+  const cached = await cacheGet(CACHE_KEYS.ORGANIZATION_STATUS(organizationId));
+  if (cached) {
+    return cached.isActive;
+  }
+
+  const organization = await this.findById(organizationId).select('isActive');
+  const isActive = organization ? organization.isActive : true;
+  await cacheSet(CACHE_KEYS.ORGANIZATION_STATUS(organizationId), { isActive });
+  return isActive;
+};
+
+// Roles the organization requires 2FA for, or null if it has no policy of
+// its own. Cached, as it is checked on every authenticated request.
+organizationSchema.statics.getTwoFactorRequiredRoles = async function(organizationId) {
+  const cached = await cacheGet(CACHE_KEYS.TWO_FACTOR_POLICY(organizationId));
+  if (cached) {
+    return cached.roles;
+  }
+
+  const organization = await this.findById(organizationId).select('twoFactorRequiredRoles');
+  const roles = organization?.twoFactorRequiredRoles ?? null;
+  await cacheSet(CACHE_KEYS.TWO_FACTOR_POLICY(organizationId), { roles });
+  return roles;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = {
+  Organization,
+  ATTRIBUTE_TYPES,
+  checkAttributeValues
+};
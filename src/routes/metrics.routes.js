@@ -0,0 +1,71 @@
+const express = require("express");
+const { User } = require("../models/user.model");
+const { PERMISSIONS } = require("../models/role.model");
+const { auth, requirePermission } = require("../middleware/auth");
+const { globalLimiter } = require("../middleware/rateLimit");
+const { getCacheStats } = require("../config/redis");
+const { getUsernameFilterStats } = require("../services/usernameFilter.service");
+const {
+  describeHash,
+  getCurrentHashVersion,
+  needsRehash,
+} = require("../services/passwordHash.service");
+
+const router = express.Router();
+
+// Cache hit/miss counters of the instance serving the request
+router.get(
+  "/cache",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.METRICS_READ)],
+  (req, res) => {
+    res.json({
+      data: getCacheStats(),
+    });
+  }
+);
+
+// Username availability checks answered by the filter, and its false positives
+router.get(
+  "/username-filter",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.METRICS_READ)],
+  (req, res) => {
+    res.json({
+      data: getUsernameFilterStats(),
+    });
+  }
+);
+
+// Accounts per password hash version. Outdated hashes are upgraded when
+// their users next log in.
+router.get(
+  "/password-hashes",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.METRICS_READ)],
+  async (req, res, next) => {
+    try {
+      const versions = (await User.countPasswordHashVersions())
+        .map(({ version, users }) => ({
+          version,
+          algorithm: describeHash(version)?.algorithm ?? "unknown",
+          params: describeHash(version)?.params ?? {},
+          current: !needsRehash(version),
+          users,
+        }))
+        .sort((a, b) => b.users - a.users);
+
+      res.json({
+        data: {
+          currentVersion: getCurrentHashVersion(),
+          total: versions.reduce((sum, { users }) => sum + users, 0),
+          outdated: versions
+            .filter(({ current }) => !current)
+            .reduce((sum, { users }) => sum + users, 0),
+          versions,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,450 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { Organization, ATTRIBUTE_TYPES } = require("../models/organization.model");
+const { User } = require("../models/user.model");
+const { Role, PERMISSIONS } = require("../models/role.model");
+const { auth, requirePermission } = require("../middleware/auth");
+const { scopeOrganization } = require("../middleware/organization");
+const { globalLimiter } = require("../middleware/rateLimit");
+const { rebuildUsernameFilter } = require("../services/usernameFilter.service");
+const { getDefaultTwoFactorRequiredRoles } = require("../services/twoFactor.service");
+const {
+  recordAuditEvent,
+  snapshotFields,
+  diffFields,
+  AUDIT_ACTIONS,
+} = require("../services/audit.service");
+
+const router = express.Router();
+
+// Validation middleware
+const validateOrganizationCreate = [
+  body("name").trim().isLength({ min: 1, max: 100 }).escape(),
+  body("slug")
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 2, max: 50 })
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage("Slug can only contain lowercase letters, numbers and hyphens"),
+];
+
+const validateOrganizationUpdate = [
+  body("name").if(body("name").exists()).trim().isLength({ min: 1, max: 100 }).escape(),
+  body("isActive").if(body("isActive").exists()).isBoolean().toBoolean(),
+];
+
+const MAX_ATTRIBUTE_DEFINITIONS = 50;
+
+const validateAttributeDefinitions = [
+  body("attributes")
+    .isArray({ max: MAX_ATTRIBUTE_DEFINITIONS })
+    .withMessage(`Provide at most ${MAX_ATTRIBUTE_DEFINITIONS} attributes`)
+    .bail()
+    .custom((attributes) => {
+      const keys = attributes.map((attribute) => attribute?.key);
+      if (new Set(keys).size !== keys.length) {
+        throw new Error("Attribute keys must be unique");
+      }
+      return true;
+    }),
+  body("attributes.*.key")
+    .isString()
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/)
+    .withMessage("Keys start with a letter and contain only letters, numbers and underscores"),
+  body("attributes.*.label").optional().isString().trim().isLength({ max: 100 }).escape(),
+  body("attributes.*.type").isIn(Object.values(ATTRIBUTE_TYPES)),
+  body("attributes.*.required").optional().isBoolean(),
+  body("attributes.*")
+    .custom(
+      (attribute) =>
+        attribute?.type !== ATTRIBUTE_TYPES.ENUM ||
+        (Array.isArray(attribute.options) &&
+          attribute.options.length >= 1 &&
+          attribute.options.length <= 100)
+    )
+    .withMessage("Enum attributes need between 1 and 100 options"),
+  body("attributes.*.options.*").isString().trim().isLength({ min: 1, max: 100 }),
+  body("attributes.*.maxLength").optional().isInt({ min: 1, max: 10000 }).toInt(),
+];
+
+const validateTwoFactorPolicy = [
+  body("requiredRoles")
+    .custom((roles) => roles === null || Array.isArray(roles))
+    .withMessage("requiredRoles must be a list of roles, or null to use the default"),
+  body("requiredRoles.*")
+    .isString()
+    .trim()
+    .toLowerCase()
+    .custom(async (role) => {
+      if (!(await Role.exists({ name: role }))) {
+        throw new Error("Role does not exist");
+      }
+      return true;
+    }),
+];
+
+const validateFilterRebuild = [
+  body("capacity").optional().isInt({ min: 1000, max: 100000000 }).toInt(),
+];
+
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({
+    error: {
+      code: "VALIDATION_ERROR",
+      message: "Validation Error",
+      details: errors.array().map((err) => ({
+        field: err.path,
+        message: err.msg,
+      })),
+    },
+  });
+
+const organizationMiddleware = [globalLimiter, auth, requirePermission(PERMISSIONS.ORGS_MANAGE)];
+
+// Get own organization
+router.get("/current", [globalLimiter, auth], async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.user.organization);
+
+    res.json({
+      data: {
+        organization,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Custom user attributes of the own organization (to render profile forms)
+router.get(
+  "/current/attributes",
+  [globalLimiter, auth, scopeOrganization],
+  async (req, res, next) => {
+    try {
+      const organization = await Organization.findById(req.organizationId);
+
+      res.json({
+        data: {
+          attributes: organization?.attributeDefinitions || [],
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Define the custom user attributes of the own organization, replacing the
+// previous definitions. Values of removed attributes stay on users but are
+// no longer validated or accepted in updates.
+router.put(
+  "/current/attributes",
+  [
+    globalLimiter,
+    auth,
+    requirePermission(PERMISSIONS.ATTRIBUTES_MANAGE),
+    scopeOrganization,
+    validateAttributeDefinitions,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const organization = await Organization.findById(req.organizationId);
+      if (!organization) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "Organization not found",
+          },
+        });
+      }
+
+      const before = snapshotFields(organization, ["attributeDefinitions"]);
+      organization.attributeDefinitions = req.body.attributes.map(
+        ({ key, label, type, required = false, options, maxLength }) => ({
+          key,
+          label,
+          type,
+          required,
+          options: type === ATTRIBUTE_TYPES.ENUM ? options : undefined,
+          maxLength: type === ATTRIBUTE_TYPES.STRING ? maxLength : undefined,
+        })
+      );
+      await organization.save();
+
+      const changes = diffFields(before, snapshotFields(organization, ["attributeDefinitions"]));
+      if (changes.length > 0) {
+        await recordAuditEvent(req, {
+          action: AUDIT_ACTIONS.ORGANIZATION_UPDATE,
+          actor: req.user,
+          organization: organization._id,
+          changes,
+        });
+      }
+
+      res.json({
+        data: {
+          attributes: organization.attributeDefinitions,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Helper function to describe an organization's 2FA policy
+const describeTwoFactorPolicy = (organization) => ({
+  requiredRoles: organization.twoFactorRequiredRoles ?? getDefaultTwoFactorRequiredRoles(),
+  isDefault: !organization.twoFactorRequiredRoles,
+});
+
+// Roles of the own organization that must use two-factor authentication
+router.get(
+  "/current/two-factor-policy",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.TWO_FACTOR_MANAGE), scopeOrganization],
+  async (req, res, next) => {
+    try {
+      const organization = await Organization.findById(req.organizationId);
+      if (!organization) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "Organization not found",
+          },
+        });
+      }
+
+      res.json({
+        data: {
+          twoFactorPolicy: describeTwoFactorPolicy(organization),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Set the roles of the own organization that must use two-factor
+// authentication, or null to go back to TWO_FACTOR_REQUIRED_ROLES. Affected
+// users without 2FA can only set it up until they have enabled it.
+router.put(
+  "/current/two-factor-policy",
+  [
+    globalLimiter,
+    auth,
+    requirePermission(PERMISSIONS.TWO_FACTOR_MANAGE),
+    scopeOrganization,
+    validateTwoFactorPolicy,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const organization = await Organization.findById(req.organizationId);
+      if (!organization) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "Organization not found",
+          },
+        });
+      }
+
+      const before = describeTwoFactorPolicy(organization);
+      organization.twoFactorRequiredRoles = req.body.requiredRoles
+        ? [...new Set(req.body.requiredRoles)]
+        : undefined;
+      await organization.save();
+      const twoFactorPolicy = describeTwoFactorPolicy(organization);
+
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.ORGANIZATION_UPDATE,
+        actor: req.user,
+        organization: organization._id,
+        changes: [
+          {
+            field: "twoFactorRequiredRoles",
+            before: before.isDefault ? null : before.requiredRoles,
+            after: twoFactorPolicy.isDefault ? null : twoFactorPolicy.requiredRoles,
+          },
+        ],
+      });
+
+      res.json({
+        data: {
+          twoFactorPolicy,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List all organizations
+router.get("/", organizationMiddleware, async (req, res, next) => {
+  try {
+    const organizations = await Organization.find().sort({ name: 1 });
+
+    res.json({
+      data: {
+        organizations,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single organization with its user count
+router.get("/:slug", organizationMiddleware, async (req, res, next) => {
+  try {
+    const organization = await Organization.findBySlug(req.params.slug.toLowerCase());
+    if (!organization) {
+      return res.status(404).json({
+        error: {
+          code: "RESOURCE_NOT_FOUND",
+          message: "Organization not found",
+        },
+      });
+    }
+
+    const userCount = await User.countDocuments({
+      organization: organization._id,
+      deletedAt: null,
+    });
+
+    res.json({
+      data: {
+        organization,
+        userCount,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create an organization
+router.post(
+  "/",
+  [...organizationMiddleware, validateOrganizationCreate],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const { name, slug } = req.body;
+
+      const existingOrganization = await Organization.exists({ slug });
+      if (existingOrganization) {
+        return res.status(400).json({
+          error: {
+            code: "DUPLICATE_ERROR",
+            message: "Organization already exists",
+          },
+        });
+      }
+
+      const organization = new Organization({ name, slug });
+      await organization.save();
+
+      res.status(201).json({
+        data: {
+          organization,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Rename or (de)activate an organization
+router.patch(
+  "/:slug",
+  [...organizationMiddleware, validateOrganizationUpdate],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const organization = await Organization.findOne({ slug: req.params.slug.toLowerCase() });
+      if (!organization) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "Organization not found",
+          },
+        });
+      }
+
+      if (req.body.name !== undefined) {
+        organization.name = req.body.name;
+      }
+      if (req.body.isActive !== undefined) {
+        organization.isActive = req.body.isActive;
+      }
+      await organization.save();
+
+      res.json({
+        data: {
+          organization,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Rebuild the organization's username filter from the database, e.g. after
+// it has grown past its capacity
+router.post(
+  "/:slug/username-filter/rebuild",
+  [...organizationMiddleware, validateFilterRebuild],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const organization = await Organization.findBySlug(req.params.slug.toLowerCase());
+      if (!organization) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "Organization not found",
+          },
+        });
+      }
+
+      const result = await rebuildUsernameFilter(organization._id, {
+        capacity: req.body.capacity,
+      });
+
+      res.json({
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,262 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { User } = require("../models/user.model");
+const { Role, PERMISSIONS, LOCKED_ROLES } = require("../models/role.model");
+const { auth, requirePermission } = require("../middleware/auth");
+const { globalLimiter } = require("../middleware/rateLimit");
+const {
+  recordAuditEvent,
+  snapshotFields,
+  diffFields,
+  AUDIT_ACTIONS,
+} = require("../services/audit.service");
+
+const router = express.Router();
+
+// Validation middleware
+const checkPermissions = (chain) =>
+  chain
+    .isArray()
+    .withMessage("Permissions must be an array")
+    .custom((permissions) => {
+      const invalid = permissions.filter(
+        (permission) => !Object.values(PERMISSIONS).includes(permission)
+      );
+      if (invalid.length > 0) {
+        throw new Error(`Unknown permissions: ${invalid.join(", ")}`);
+      }
+      return true;
+    });
+
+const validateRoleCreate = [
+  body("name")
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 2, max: 50 })
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage("Role name can only contain letters, numbers, underscores and hyphens"),
+  body("description").optional().trim().escape(),
+  checkPermissions(body("permissions")),
+];
+
+const validateRoleUpdate = [
+  body("description").if(body("description").exists()).trim().escape(),
+  checkPermissions(body("permissions").if(body("permissions").exists())),
+];
+
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({
+    error: {
+      code: "VALIDATION_ERROR",
+      message: "Validation Error",
+      details: errors.array().map((err) => ({
+        field: err.path,
+        message: err.msg,
+      })),
+    },
+  });
+
+const roleMiddleware = [globalLimiter, auth, requirePermission(PERMISSIONS.ROLES_MANAGE)];
+
+// Roles are shared by all organizations, so changing them is a platform operation
+const roleWriteMiddleware = [
+  globalLimiter,
+  auth,
+  requirePermission(PERMISSIONS.ROLES_MANAGE, PERMISSIONS.ORGS_CROSS),
+];
+
+// List all roles
+router.get("/", roleMiddleware, async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.json({
+      data: {
+        roles,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List all available permissions
+router.get("/permissions", roleMiddleware, async (req, res) => {
+  res.json({
+    data: {
+      permissions: Object.values(PERMISSIONS),
+    },
+  });
+});
+
+// Get a single role
+router.get("/:name", roleMiddleware, async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    if (!role) {
+      return res.status(404).json({
+        error: {
+          code: "RESOURCE_NOT_FOUND",
+          message: "Role not found",
+        },
+      });
+    }
+
+    res.json({
+      data: {
+        role,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a custom role
+router.post("/", [...roleWriteMiddleware, validateRoleCreate], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const existingRole = await Role.exists({ name });
+    if (existingRole) {
+      return res.status(400).json({
+        error: {
+          code: "DUPLICATE_ERROR",
+          message: "Role already exists",
+        },
+      });
+    }
+
+    const role = new Role({ name, description, permissions });
+    await role.save();
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.ROLE_CREATE,
+      actor: req.user,
+      details: { role: role.name, permissions: role.permissions },
+    });
+
+    res.status(201).json({
+      data: {
+        role,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a role's description or permissions
+router.patch("/:name", [...roleWriteMiddleware, validateRoleUpdate], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    if (!role) {
+      return res.status(404).json({
+        error: {
+          code: "RESOURCE_NOT_FOUND",
+          message: "Role not found",
+        },
+      });
+    }
+
+    // Keep the admin roles intact so the system can't lock itself out
+    if (LOCKED_ROLES.includes(role.name)) {
+      return res.status(403).json({
+        error: {
+          code: "AUTHORIZATION_ERROR",
+          message: "The admin roles cannot be modified",
+        },
+      });
+    }
+
+    const before = snapshotFields(role, ["description", "permissions"]);
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+    if (req.body.permissions !== undefined) {
+      role.permissions = req.body.permissions;
+    }
+    await role.save();
+
+    const changes = diffFields(before, snapshotFields(role, ["description", "permissions"]));
+    if (changes.length > 0) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.ROLE_UPDATE,
+        actor: req.user,
+        changes,
+        details: { role: role.name },
+      });
+    }
+
+    res.json({
+      data: {
+        role,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a custom role
+router.delete("/:name", roleWriteMiddleware, async (req, res, next) => {
+  try {
+    const name = req.params.name.toLowerCase();
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({
+        error: {
+          code: "RESOURCE_NOT_FOUND",
+          message: "Role not found",
+        },
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(403).json({
+        error: {
+          code: "AUTHORIZATION_ERROR",
+          message: "Built-in roles cannot be deleted",
+        },
+      });
+    }
+
+    const assignedCount = await User.countDocuments({ role: name });
+    if (assignedCount > 0) {
+      return res.status(409).json({
+        error: {
+          code: "ROLE_IN_USE",
+          message: `Role is assigned to ${assignedCount} user(s)`,
+        },
+      });
+    }
+
+    await Role.findOneAndDelete({ name });
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.ROLE_DELETE,
+      actor: req.user,
+      details: { role: name, permissions: role.permissions },
+    });
+
+    res.json({
+      data: {
+        message: "Role deleted successfully",
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
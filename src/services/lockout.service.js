@@ -0,0 +1,80 @@
+const { getRedisClient } = require('../config/redis');
+
+// Redis keys for failed login tracking (keyed by normalized email)
+const LOCKOUT_KEYS = {
+  FAILURES: (email) => `login_failures:${email}`,
+  LOCK: (email) => `login_lock:${email}`,
+  LOCK_COUNT: (email) => `login_lock_count:${email}`
+};
+
+const getLockoutConfig = () => ({
+  // Failed attempts allowed before the account is locked
+  maxAttempts: Number(process.env.LOCKOUT_MAX_ATTEMPTS) || 5,
+  // Window (seconds) in which failed attempts are counted
+  attemptWindow: Number(process.env.LOCKOUT_ATTEMPT_WINDOW) || 15 * 60,
+  // First lock duration (seconds); doubles with every further lock
+  baseDuration: Number(process.env.LOCKOUT_BASE_DURATION) || 60,
+  maxDuration: Number(process.env.LOCKOUT_MAX_DURATION) || 24 * 60 * 60
+});
+
+const logSecurityEvent = (event, details) => {
+  console.warn(`[security] ${event}`, JSON.stringify({ ...details, at: new Date().toISOString() }));
+};
+
+// Seconds until the account unlocks, or 0 if it is not locked
+async function getLockRetryAfter(email) {
+  const client = await getRedisClient();
+  const ttl = await client.ttl(LOCKOUT_KEYS.LOCK(email));
+  return ttl > 0 ? ttl : 0;
+}
+
+// Count a failed attempt and lock the account once the limit is reached.
+// Returns the lock duration in seconds, or 0 if the account is not locked.
+async function recordFailedLogin(email, meta = {}) {
+  const client = await getRedisClient();
+  const config = getLockoutConfig();
+
+  const failures = await client.incr(LOCKOUT_KEYS.FAILURES(email));
+  if (failures === 1) {
+    await client.expire(LOCKOUT_KEYS.FAILURES(email), config.attemptWindow);
+  }
+  if (failures < config.maxAttempts) {
+    return 0;
+  }
+
+  // Each consecutive lock doubles the duration
+  const lockCount = await client.incr(LOCKOUT_KEYS.LOCK_COUNT(email));
+  await client.expire(LOCKOUT_KEYS.LOCK_COUNT(email), config.maxDuration);
+  const duration = Math.min(config.baseDuration * 2 ** (lockCount - 1), config.maxDuration);
+
+  await client.set(LOCKOUT_KEYS.LOCK(email), '1', { EX: duration });
+  await client.del(LOCKOUT_KEYS.FAILURES(email));
+
+  logSecurityEvent('Account locked', { email, failures, lockCount, duration, ip: meta.ip });
+  return duration;
+}
+
+async function clearFailedLogins(email) {
+  const client = await getRedisClient();
+  await client.del([LOCKOUT_KEYS.FAILURES(email), LOCKOUT_KEYS.LOCK_COUNT(email)]);
+}
+
+async function unlockAccount(email, meta = {}) {
+  const client = await getRedisClient();
+  const removed = await client.del([
+    LOCKOUT_KEYS.LOCK(email),
+    LOCKOUT_KEYS.FAILURES(email),
+    LOCKOUT_KEYS.LOCK_COUNT(email)
+  ]);
+
+  logSecurityEvent('Account unlocked', { email, by: meta.by });
+  return removed > 0;
+}
+
+module.exports = {
+  getLockRetryAfter,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  LOCKOUT_KEYS
+};
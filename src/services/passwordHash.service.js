@@ -0,0 +1,110 @@
+const argon2 = require('argon2');
+const bcrypt = require('bcryptjs');
+
+const HASH_ALGORITHMS = {
+  ARGON2ID: 'argon2id',
+  BCRYPT: 'bcrypt'
+};
+
+// Algorithm and cost for new hashes. Stored hashes keep whatever they were
+// created with and are upgraded at the next login (see needsRehash()).
+const getHashConfig = () => ({
+  algorithm: process.env.PASSWORD_HASH_ALGORITHM === HASH_ALGORITHMS.BCRYPT
+    ? HASH_ALGORITHMS.BCRYPT
+    : HASH_ALGORITHMS.ARGON2ID,
+  bcryptRounds: Number(process.env.PASSWORD_SALT_ROUNDS) || 10,
+  // Memory in KiB
+  argon2MemoryCost: Number(process.env.ARGON2_MEMORY_COST) || 19456,
+  argon2TimeCost: Number(process.env.ARGON2_TIME_COST) || 2,
+  argon2Parallelism: Number(process.env.ARGON2_PARALLELISM) || 1
+});
+
+// Hashes are stored in the modular crypt format, which names the algorithm
+// and its parameters ahead of the salt: "$2b$12$<salt+hash>" or
+// "$argon2id$v=19$m=19456,t=2,p=1$<salt>$<hash>". That prefix is the hash
+// version. Also accepts a bare prefix. Returns null for unknown formats.
+const describeHash = (hash) => {
+  const parts = String(hash || '').split('$');
+
+  if (/^2[aby]$/.test(parts[1] || '') && /^\d+$/.test(parts[2] || '')) {
+    return {
+      version: `$${parts[1]}$${parts[2]}$`,
+      algorithm: HASH_ALGORITHMS.BCRYPT,
+      params: { cost: Number(parts[2]) }
+    };
+  }
+
+  if (parts[1] === HASH_ALGORITHMS.ARGON2ID && parts[2]?.startsWith('v=') && parts[3]) {
+    const params = Object.fromEntries(parts[3].split(',').map((pair) => {
+      const [key, value] = pair.split('=');
+      return [key, Number(value)];
+    }));
+    return {
+      version: `$${parts[1]}$${parts[2]}$${parts[3]}$`,
+      algorithm: HASH_ALGORITHMS.ARGON2ID,
+      params: { version: Number(parts[2].slice(2)), ...params }
+    };
+  }
+
+  return null;
+};
+
+// Hash version new hashes get with the current configuration
+const getCurrentHashVersion = () => {
+  const config = getHashConfig();
+  return config.algorithm === HASH_ALGORITHMS.BCRYPT
+    ? `$2a$${String(config.bcryptRounds).padStart(2, '0')}$`
+    : `$argon2id$v=19$m=${config.argon2MemoryCost},t=${config.argon2TimeCost},p=${config.argon2Parallelism}$`;
+};
+
+async function hashPassword(password) {
+  const config = getHashConfig();
+  if (config.algorithm === HASH_ALGORITHMS.BCRYPT) {
+    return bcrypt.hash(password, await bcrypt.genSalt(config.bcryptRounds));
+  }
+  return argon2.hash(password, {
+    type: argon2.argon2id,
+    memoryCost: config.argon2MemoryCost,
+    timeCost: config.argon2TimeCost,
+    parallelism: config.argon2Parallelism
+  });
+}
+
+// Check a password against a stored hash of any supported version
+async function verifyPassword(password, hash) {
+  const described = describeHash(hash);
+  if (!described) {
+    return false;
+  }
+  if (described.algorithm === HASH_ALGORITHMS.BCRYPT) {
+    return bcrypt.compare(password, hash);
+  }
+  try {
+    return await argon2.verify(hash, password);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether a stored hash uses an outdated algorithm or cost
+const needsRehash = (hash) => {
+  const described = describeHash(hash);
+  if (!described) {
+    return true;
+  }
+  // "$2a$" (written by bcryptjs), "$2b$" and "$2y$" are the same algorithm
+  const version = described.algorithm === HASH_ALGORITHMS.BCRYPT
+    ? described.version.replace(/^\$2[by]\$/, '$2a$')
+    : described.version;
+  return version !== getCurrentHashVersion();
+};
+
+module.exports = {
+  HASH_ALGORITHMS,
+  getHashConfig,
+  describeHash,
+  getCurrentHashVersion,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
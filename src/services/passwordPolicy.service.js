@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const CHARACTER_CLASSES = {
+  lower: { pattern: /[a-z]/, label: 'a lowercase letter' },
+  upper: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+  digit: { pattern: /\d/, label: 'a digit' },
+  symbol: { pattern: /[^A-Za-z\d]/, label: 'a symbol' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Policy for new passwords, from the environment. PASSWORD_REQUIRED_CLASSES
+// is a comma-separated list of lower, upper, digit and symbol (empty to
+// require none); PASSWORD_HISTORY and PASSWORD_MAX_AGE_DAYS can be 0 to
+// turn those checks off.
+const getPasswordPolicy = () => ({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES ?? Object.keys(CHARACTER_CLASSES).join(','))
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => CHARACTER_CLASSES[name]),
+  // Previous passwords (including the current one) that can't be reused
+  historySize: Number(process.env.PASSWORD_HISTORY ?? 5) || 0,
+  maxAgeDays: Number(process.env.PASSWORD_MAX_AGE_DAYS) || 0,
+  // Directory of SHA-1 range files, see isBreachedPassword()
+  breachedPasswordsDir: process.env.BREACHED_PASSWORDS_DIR || null
+});
+
+// Length, character classes and personal information. Parts of the username
+// or email shorter than 3 characters are ignored.
+const checkPasswordRules = (password, { username, email } = {}) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+
+  const missing = policy.requiredClasses.filter((name) => !CHARACTER_CLASSES[name].pattern.test(password));
+  if (missing.length > 0) {
+    errors.push(`Password must contain ${missing.map((name) => CHARACTER_CLASSES[name].label).join(', ')}`);
+  }
+
+  const lowered = password.toLowerCase();
+  const emailText = String(email || '').toLowerCase();
+  const personal = [username, emailText, emailText.split('@')[0]]
+    .map((value) => String(value || '').toLowerCase())
+    .filter((value) => value.length >= 3);
+  if (personal.some((value) => lowered.includes(value))) {
+    errors.push('Password must not contain your username or email');
+  }
+
+  return errors;
+};
+
+// Look a password up in a local copy of a breached-password list, in the
+// k-anonymity range format: one file per 5-character SHA-1 prefix, named
+// <PREFIX>.txt, with a "<SUFFIX>:<COUNT>" line per hash (as downloaded from
+// the Have I Been Pwned range API). Only the range file of the password's
+// prefix is read; a missing file means no known breach.
+async function isBreachedPassword(password, dir = getPasswordPolicy().breachedPasswordsDir) {
+  if (!dir) {
+    return false;
+  }
+
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  const prefix = hash.slice(0, 5);
+  const suffix = hash.slice(5);
+
+  let contents;
+  try {
+    contents = await fs.readFile(path.join(dir, `${prefix}.txt`), 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading breached password list:', error.message);
+    }
+    return false;
+  }
+
+  return contents.split('\n').some((line) => {
+    const [lineSuffix, count] = line.trim().split(':');
+    return lineSuffix?.toUpperCase() === suffix && Number(count) !== 0;
+  });
+}
+
+// Check a new password against the whole policy. With a user, their
+// username and email are used unless given, and their recent passwords
+// can't be reused. Returns the list of violations (empty if accepted).
+async function checkPassword(password, { user, username, email } = {}) {
+  const errors = checkPasswordRules(password, {
+    username: username ?? user?.username,
+    email: email ?? user?.email
+  });
+
+  if (user && await user.wasPasswordUsed(password)) {
+    errors.push('Password was used recently; choose a different one');
+  }
+
+  if (await isBreachedPassword(password)) {
+    errors.push('Password appears in a known data breach; choose a different one');
+  }
+
+  return errors;
+}
+
+// Whether the user must choose a new password before logging in. Users
+// without a recorded change count from their creation.
+const isPasswordExpired = (user, now = Date.now()) => {
+  const { maxAgeDays } = getPasswordPolicy();
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return maxAgeDays > 0 && Boolean(changedAt) && now - new Date(changedAt).getTime() > maxAgeDays * DAY_MS;
+};
+
+module.exports = {
+  CHARACTER_CLASSES,
+  getPasswordPolicy,
+  checkPasswordRules,
+  checkPassword,
+  isBreachedPassword,
+  isPasswordExpired
+};
@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const { Issuer, generators, errors: oidcErrors } = require('openid-client');
+const { User, ROLES } = require('../models/user.model');
+const { Role } = require('../models/role.model');
+const { Organization } = require('../models/organization.model');
+const { IdentityProvider } = require('../models/identityProvider.model');
+const { getRedisClient } = require('../config/redis');
+const { canAssignRole } = require('../middleware/auth');
+const { USERNAME_PATTERN, isReservedUsername } = require('../middleware/validation');
+const { isUsernameAvailable, suggestUsernames } = require('./usernameFilter.service');
+
+// One-time token purpose for finishing a sign-in (see POST /auth/sso/token)
+const SSO_LOGIN_PURPOSE = 'sso-login';
+
+const SSO_STATE_KEY = (state) => `sso_state:${state}`;
+
+// Cookie tying a sign-in to the browser that started it, so a sign-in (or
+// link) started by someone else can't be completed in a victim's browser
+const SSO_BROWSER_COOKIE = 'sso_browser';
+
+// How long discovered provider metadata is reused
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+const getSsoConfig = () => ({
+  // Public URL of the /auth/sso routes; callbacks are <base>/<slug>/callback
+  redirectBaseUrl: process.env.SSO_REDIRECT_BASE_URL ||
+    `http://localhost:${process.env.PORT || 3001}/api/auth/sso`,
+  // Frontend page the callback redirects to with ?token= or ?error=
+  completeUrl: process.env.SSO_COMPLETE_URL ||
+    `${process.env.APP_URL || 'http://localhost:3000'}/sso/complete`,
+  // Seconds a started sign-in stays valid
+  stateTTL: Number(process.env.SSO_STATE_TTL) || 10 * 60,
+  loginTokenTTL: 60
+});
+
+class SsoError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SsoError';
+    this.code = code;
+  }
+}
+
+const getRedirectUri = (provider) => `${getSsoConfig().redirectBaseUrl}/${provider.slug}/callback`;
+
+// Stored values are HTML-escaped like the signup input
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#x27;')
+  .replace(/\//g, '&#x2F;');
+
+// OIDC clients by provider, rebuilt when the provider changes or the
+// discovery document gets old
+const clients = new Map();
+
+async function getClient(provider) {
+  const version = `${provider.issuer}|${provider.clientId}|${provider.updatedAt?.getTime()}`;
+  const cached = clients.get(provider.slug);
+  if (cached && cached.version === version && cached.expiresAt > Date.now()) {
+    return cached.client;
+  }
+
+  let issuer;
+  try {
+    issuer = await Issuer.discover(provider.issuer);
+  } catch (error) {
+    throw new SsoError('PROVIDER_UNAVAILABLE', `Could not reach the identity provider: ${error.message}`);
+  }
+
+  const client = new issuer.Client({
+    client_id: provider.clientId,
+    client_secret: provider.clientSecret || undefined,
+    redirect_uris: [getRedirectUri(provider)],
+    response_types: ['code'],
+    token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none'
+  });
+  clients.set(provider.slug, { client, version, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return client;
+}
+
+// Active provider by slug, with its client secret
+const findProvider = (slug) =>
+  IdentityProvider.findOne({ slug: String(slug).toLowerCase(), isActive: true }).select('+clientSecret');
+
+const hashBrowserNonce = (browserNonce) =>
+  crypto.createHash('sha256').update(String(browserNonce)).digest();
+
+// Options of the browser cookie: only sent to these endpoints, and on the
+// IdP's redirect back (a top-level navigation, allowed by SameSite=Lax)
+const getBrowserCookieOptions = () => {
+  const { redirectBaseUrl, stateTTL } = getSsoConfig();
+  const url = new URL(redirectBaseUrl);
+  return {
+    httpOnly: true,
+    secure: url.protocol === 'https:',
+    sameSite: 'lax',
+    path: url.pathname,
+    maxAge: stateTTL * 1000
+  };
+};
+
+// Start an authorization-code sign-in with PKCE. The verifier, state and
+// nonce stay in Redis until the callback. Returns the URL to send the
+// browser to, and a nonce to set as the SSO_BROWSER_COOKIE cookie (the
+// callback requires it). With linkUserId, the sign-in links the provider
+// account to that (signed-in) user instead (see linkUser).
+async function startLogin(provider, { device, linkUserId } = {}) {
+  const client = await getClient(provider);
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+  const browserNonce = crypto.randomBytes(32).toString('base64url');
+
+  const redis = await getRedisClient();
+  await redis.set(
+    SSO_STATE_KEY(state),
+    JSON.stringify({
+      provider: provider.slug,
+      codeVerifier,
+      nonce,
+      browserHash: hashBrowserNonce(browserNonce).toString('hex'),
+      device,
+      linkUserId
+    }),
+    { EX: getSsoConfig().stateTTL }
+  );
+
+  const authorizationUrl = client.authorizationUrl({
+    scope: provider.scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+  return { authorizationUrl, browserNonce };
+}
+
+// Handle the provider's redirect: check the state (once) and that the
+// browser started the sign-in (its SSO_BROWSER_COOKIE nonce), exchange the
+// code and validate the ID token. Returns the user's claims, completed from
+// the userinfo endpoint when the ID token lacks the email or groups.
+async function completeLogin(provider, params, { browserNonce } = {}) {
+  const redis = await getRedisClient();
+  const stored = params.state ? await redis.getDel(SSO_STATE_KEY(String(params.state))) : null;
+  const pending = stored ? JSON.parse(stored) : null;
+  if (
+    !pending ||
+    pending.provider !== provider.slug ||
+    !browserNonce ||
+    !crypto.timingSafeEqual(hashBrowserNonce(browserNonce), Buffer.from(pending.browserHash, 'hex'))
+  ) {
+    throw new SsoError('INVALID_STATE', 'The sign-in request is invalid or has expired');
+  }
+  if (params.error) {
+    throw new SsoError('PROVIDER_ERROR', String(params.error_description || params.error));
+  }
+
+  const client = await getClient(provider);
+  let tokenSet;
+  try {
+    tokenSet = await client.callback(getRedirectUri(provider), params, {
+      state: String(params.state),
+      nonce: pending.nonce,
+      code_verifier: pending.codeVerifier
+    });
+  } catch (error) {
+    if (error instanceof oidcErrors.OPError || error instanceof oidcErrors.RPError) {
+      throw new SsoError('PROVIDER_ERROR', error.message);
+    }
+    throw error;
+  }
+
+  let claims = tokenSet.claims();
+  const incomplete = !claims.email || claims[provider.groupsClaim] === undefined;
+  if (incomplete && tokenSet.access_token && client.issuer.userinfo_endpoint) {
+    // userinfo() checks that the subject matches the ID token
+    const userinfo = await client.userinfo(tokenSet);
+    claims = { ...userinfo, ...claims };
+  }
+
+  return { claims, device: pending.device, linkUserId: pending.linkUserId };
+}
+
+// Whether the provider could have given a user their role: one of the roles
+// it hands out has every permission of it. Super-admins never qualify, as
+// they are never changed by a provider either.
+async function canProviderAssignRole(provider, role) {
+  if (role === ROLES.SUPER_ADMIN) {
+    return false;
+  }
+  for (const assignedRole of provider.getAssignedRoles()) {
+    if (await canAssignRole(await Role.getPermissions(assignedRole), role)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Username for a provisioned user: the preferred username or the email's
+// local part if it is valid and free, else the first suggestion
+async function pickUsername(claims, email, organizationId) {
+  const base = String(claims.preferred_username || email)
+    .split('@')[0]
+    .replace(/[^a-zA-Z0-9_-]/g, '')
+    .slice(0, 30);
+
+  if (
+    base.length >= 3 &&
+    USERNAME_PATTERN.test(base) &&
+    !isReservedUsername(base) &&
+    await isUsernameAvailable(base, organizationId)
+  ) {
+    return base;
+  }
+
+  const [suggestion] = await suggestUsernames(base, organizationId, { fullName: claims.name, count: 1 });
+  if (!suggestion) {
+    throw new SsoError('USERNAME_UNAVAILABLE', 'No username could be found for the new account');
+  }
+  return suggestion;
+}
+
+// Find the user for a provider account, linking an existing user with the
+// same email or provisioning a new one as the provider allows, and apply
+// the role mapped from the user's groups. Returns { user, created, linked,
+// previousRole } (previousRole is set when the role changed).
+async function resolveUser(provider, claims) {
+  const subject = String(claims.sub);
+  const email = claims.email ? User.normalizeEmail(claims.email) : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const mappedRole = provider.mapGroupsToRole(claims[provider.groupsClaim]);
+
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider: provider.slug, subject } }
+  });
+  let created = false;
+  let linked = false;
+
+  if (!user) {
+    if (!email) {
+      throw new SsoError('EMAIL_REQUIRED', 'The identity provider did not return an email address');
+    }
+
+    user = await User.findByEmail(email);
+    if (user) {
+      // Only a verified email proves the provider account owns the user, and
+      // only for users the provider could have created with their role;
+      // anyone else links the provider while signed in
+      const sameOrganization = !provider.organization || user.organization.equals(provider.organization);
+      if (
+        !provider.linkExistingUsers ||
+        !emailVerified ||
+        !sameOrganization ||
+        !(await canProviderAssignRole(provider, user.role))
+      ) {
+        throw new SsoError(
+          'ACCOUNT_EXISTS',
+          'An account with this email already exists; sign in with your password and link the provider from there'
+        );
+      }
+      user.identities.push({ provider: provider.slug, subject });
+      user.emailVerified = true;
+      linked = true;
+    } else {
+      if (!provider.provisionUsers) {
+        throw new SsoError('ACCOUNT_NOT_FOUND', 'No account exists for this email');
+      }
+
+      const organization = provider.organization
+        ? await Organization.findById(provider.organization)
+        : await Organization.findDefault();
+      if (!organization || !organization.isActive) {
+        throw new SsoError('ORGANIZATION_DISABLED', 'The organization is disabled');
+      }
+
+      // The random password is never handed out: the user signs in through
+      // the provider (or sets a password with forgot-password)
+      user = new User({
+        email,
+        username: await pickUsername(claims, email, organization._id),
+        fullName: claims.name ? escapeHtml(String(claims.name).trim().slice(0, 100)) : undefined,
+        password: crypto.randomBytes(32).toString('base64url'),
+        role: mappedRole || provider.defaultRole || ROLES.VIEWER,
+        organization: organization._id,
+        emailVerified,
+        identities: [{ provider: provider.slug, subject }]
+      });
+      created = true;
+    }
+  }
+
+  if (user.deletedAt) {
+    throw new SsoError('ACCOUNT_DEACTIVATED', 'Your account has been deactivated');
+  }
+
+  // Super-admins are never changed by a provider
+  let previousRole;
+  if (
+    !created &&
+    provider.syncRoles &&
+    mappedRole &&
+    mappedRole !== user.role &&
+    user.role !== ROLES.SUPER_ADMIN
+  ) {
+    previousRole = user.role;
+    user.role = mappedRole;
+  }
+
+  if (created || linked || previousRole) {
+    await user.save();
+  }
+  return { user, created, linked, previousRole };
+}
+
+// Link a provider account to the signed-in user who started the sign-in
+// (startLogin with linkUserId). The user's role is left alone. Returns the
+// user.
+async function linkUser(provider, claims, userId) {
+  const subject = String(claims.sub);
+
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) {
+    throw new SsoError('ACCOUNT_DEACTIVATED', 'Your account has been deactivated');
+  }
+  if (provider.organization && !user.organization.equals(provider.organization)) {
+    throw new SsoError('PROVIDER_NOT_AVAILABLE', 'The identity provider is not available to your organization');
+  }
+
+  const owner = await User.findOne({
+    identities: { $elemMatch: { provider: provider.slug, subject } }
+  });
+  if (owner && !owner._id.equals(user._id)) {
+    throw new SsoError('IDENTITY_IN_USE', 'The provider account is linked to another user');
+  }
+  if (owner) {
+    return user;
+  }
+
+  // One account per provider
+  user.identities = user.identities.filter((identity) => identity.provider !== provider.slug);
+  user.identities.push({ provider: provider.slug, subject });
+  await user.save();
+  return user;
+}
+
+module.exports = {
+  SSO_LOGIN_PURPOSE,
+  SSO_BROWSER_COOKIE,
+  SsoError,
+  getBrowserCookieOptions,
+  getSsoConfig,
+  getRedirectUri,
+  findProvider,
+  startLogin,
+  completeLogin,
+  resolveUser,
+  linkUser
+};
@@ -0,0 +1,62 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+const getStorageConfig = () => ({
+  driver: process.env.STORAGE_DRIVER || 'local',
+  // Local driver: directory files are written to and the URL path they are
+  // served from
+  directory: path.resolve(process.env.UPLOAD_DIR || 'uploads'),
+  baseUrl: process.env.UPLOAD_BASE_URL || '/uploads'
+});
+
+// Storage adapters share one interface:
+//   save(key, data, contentType) -> public URL of the stored file
+//   remove(key)
+// Keys are generated by the services, never taken from requests.
+const createLocalStorage = ({ directory, baseUrl }) => ({
+  async save(key, data) {
+    const file = path.join(directory, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+    return `${baseUrl}/${key}`;
+  },
+
+  async remove(key) {
+    await fs.rm(path.join(directory, key), { force: true });
+  },
+
+  // Serves the stored files; mounted at baseUrl by the app
+  handler() {
+    return express.static(directory, {
+      maxAge: '7d',
+      setHeaders: (res) => {
+        // Images are embedded by front ends on other origins
+        res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      }
+    });
+  }
+});
+
+const drivers = {
+  local: createLocalStorage
+};
+
+let storage;
+
+function getStorage() {
+  if (!storage) {
+    const config = getStorageConfig();
+    const createStorage = drivers[config.driver];
+    if (!createStorage) {
+      throw new Error(`Unknown storage driver: ${config.driver}`);
+    }
+    storage = createStorage(config);
+  }
+  return storage;
+}
+
+module.exports = {
+  getStorage,
+  getStorageConfig
+};
@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getRedisClient } = require('../config/redis');
+
+// Redis keys for refresh-token sessions and one-time tokens
+const SESSION_KEYS = {
+  SESSION: (sessionId) => `session:${sessionId}`,
+  USER_SESSIONS: (userId) => `user_sessions:${userId}`,
+  ONE_TIME_TOKEN: (purpose, tokenId) => `one_time_token:${purpose}:${tokenId}`
+};
+
+const getAccessTokenExpiration = () => process.env.JWT_ACCESS_EXPIRATION || '15m';
+
+// Refresh token lifetime in seconds (default 7 days)
+const getRefreshTokenTTL = () => Number(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60;
+
+// Only refresh lastSeenAt on authenticated requests once per interval
+const LAST_SEEN_UPDATE_INTERVAL = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Replace a session only if it still holds the expected refresh token hash,
+// so that of two refreshes with the same token only one succeeds.
+// Returns 1 when replaced, 0 when the session is gone, -1 on a hash mismatch.
+const ROTATE_SESSION_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if not value then
+  return 0
+end
+if cjson.decode(value).tokenHash ~= ARGV[1] then
+  return -1
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+return 1
+`;
+
+// Update only the activity fields of a session that still exists, keeping
+// its refresh token hash and expiry. Returns 1 when updated, 0 when the
+// session is gone.
+const TOUCH_SESSION_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if not value then
+  return 0
+end
+local session = cjson.decode(value)
+session.lastSeenAt = ARGV[1]
+if ARGV[2] ~= '' then
+  session.ip = ARGV[2]
+end
+redis.call('SET', KEYS[1], cjson.encode(session), 'KEEPTTL')
+return 1
+`;
+
+// Refresh tokens are opaque strings of the form "<sessionId>.<secret>"
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') {
+    return null;
+  }
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+// The token carries no role: it would go stale when the role changes, so
+// consumers load it from MongoDB
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign({ userId: String(user._id), sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenExpiration()
+  });
+};
+
+async function getSession(sessionId) {
+  const client = await getRedisClient();
+  const value = await client.get(SESSION_KEYS.SESSION(sessionId));
+  return value ? JSON.parse(value) : null;
+}
+
+async function saveSession(session) {
+  const client = await getRedisClient();
+  const ttl = getRefreshTokenTTL();
+  await client.set(SESSION_KEYS.SESSION(session.id), JSON.stringify(session), { EX: ttl });
+  await client.sAdd(SESSION_KEYS.USER_SESSIONS(session.userId), session.id);
+  await client.expire(SESSION_KEYS.USER_SESSIONS(session.userId), ttl);
+}
+
+// Record the latest activity without extending the session lifetime. Done
+// in Redis, so a concurrent refresh or revocation is never overwritten.
+async function touchSession(sessionId, meta = {}) {
+  const client = await getRedisClient();
+  await client.eval(TOUCH_SESSION_SCRIPT, {
+    keys: [SESSION_KEYS.SESSION(sessionId)],
+    arguments: [new Date().toISOString(), meta.ip || '']
+  });
+}
+
+// Start a new session and issue its first access/refresh token pair.
+// meta describes the client: { device, ip, userAgent }
+async function createSession(user, meta = {}) {
+  const sessionId = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const userId = String(user._id);
+  const now = new Date().toISOString();
+
+  await saveSession({
+    id: sessionId,
+    userId,
+    tokenHash: hashToken(secret),
+    device: meta.device || null,
+    ip: meta.ip || null,
+    userAgent: meta.userAgent || null,
+    createdAt: now,
+    lastSeenAt: now
+  });
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`
+  };
+}
+
+// Exchange a refresh token for a new one. The presented token is
+// invalidated; presenting it again ends every session of the user.
+// Callers sign the new access token once they have loaded the user.
+async function rotateSession(refreshToken, meta = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const session = await getSession(parsed.sessionId);
+  if (!session) {
+    return null;
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  const reuseDetected = async () => {
+    console.warn(`Refresh token reuse detected for user ${session.userId}, revoking all sessions`);
+    await revokeAllSessions(session.userId);
+    return null;
+  };
+  if (session.tokenHash !== presentedHash) {
+    return reuseDetected();
+  }
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  session.tokenHash = hashToken(secret);
+  session.lastSeenAt = new Date().toISOString();
+  if (meta.ip) {
+    session.ip = meta.ip;
+  }
+  if (meta.userAgent) {
+    session.userAgent = meta.userAgent;
+  }
+
+  // A concurrent refresh may have rotated the token since it was read
+  const client = await getRedisClient();
+  const ttl = getRefreshTokenTTL();
+  const result = await client.eval(ROTATE_SESSION_SCRIPT, {
+    keys: [SESSION_KEYS.SESSION(session.id)],
+    arguments: [presentedHash, JSON.stringify(session), String(ttl)]
+  });
+  if (result === 0) {
+    return null;
+  }
+  if (result === -1) {
+    return reuseDetected();
+  }
+  await client.sAdd(SESSION_KEYS.USER_SESSIONS(session.userId), session.id);
+  await client.expire(SESSION_KEYS.USER_SESSIONS(session.userId), ttl);
+
+  return {
+    userId: session.userId,
+    sessionId: session.id,
+    refreshToken: `${session.id}.${secret}`
+  };
+}
+
+async function revokeSession(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    return false;
+  }
+
+  const client = await getRedisClient();
+  await client.del(SESSION_KEYS.SESSION(sessionId));
+  await client.sRem(SESSION_KEYS.USER_SESSIONS(session.userId), sessionId);
+  return true;
+}
+
+// End all sessions of a user, or all but one with { except: sessionId }
+async function revokeAllSessions(userId, { except } = {}) {
+  const client = await getRedisClient();
+  const key = SESSION_KEYS.USER_SESSIONS(String(userId));
+  const sessionIds = (await client.sMembers(key)).filter((sessionId) => sessionId !== except);
+  if (sessionIds.length > 0) {
+    await client.del(sessionIds.map(SESSION_KEYS.SESSION));
+  }
+  if (except) {
+    if (sessionIds.length > 0) {
+      await client.sRem(key, sessionIds);
+    }
+  } else {
+    await client.del(key);
+  }
+  return sessionIds.length;
+}
+
+// List the active sessions of a user, most recently used first
+async function listSessions(userId) {
+  const client = await getRedisClient();
+  const key = SESSION_KEYS.USER_SESSIONS(String(userId));
+  const sessionIds = await client.sMembers(key);
+  if (sessionIds.length === 0) {
+    return [];
+  }
+
+  const values = await client.mGet(sessionIds.map(SESSION_KEYS.SESSION));
+  const sessions = [];
+  const expired = [];
+  values.forEach((value, index) => {
+    if (value) {
+      sessions.push(JSON.parse(value));
+    } else {
+      expired.push(sessionIds[index]);
+    }
+  });
+
+  // Drop ids of sessions that expired on their own
+  if (expired.length > 0) {
+    await client.sRem(key, expired);
+  }
+
+  return sessions.sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''));
+}
+
+// Session data that is safe to return to clients
+const toPublicSession = (session, currentSessionId) => ({
+  id: session.id,
+  device: session.device,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session.id === currentSessionId
+});
+
+// Verify an access token and make sure its session has not been revoked
+async function verifyAccessToken(token, meta = {}) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await getSession(decoded.sid);
+  if (!session || session.userId !== String(decoded.userId)) {
+    return null;
+  }
+
+  const lastSeen = session.lastSeenAt ? Date.parse(session.lastSeenAt) : 0;
+  if (Date.now() - lastSeen > LAST_SEEN_UPDATE_INTERVAL) {
+    await touchSession(session.id, meta);
+  }
+  return decoded;
+}
+
+// Issue a signed token for a single purpose (e.g. "verify-email") that can
+// be consumed once within ttlSeconds
+async function issueOneTimeToken(purpose, payload, ttlSeconds) {
+  const tokenId = crypto.randomUUID();
+  const client = await getRedisClient();
+  await client.set(SESSION_KEYS.ONE_TIME_TOKEN(purpose, tokenId), '1', { EX: ttlSeconds });
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    audience: purpose,
+    jwtid: tokenId,
+    expiresIn: ttlSeconds
+  });
+}
+
+// Verify a one-time token without invalidating it. Returns its payload or null.
+async function peekOneTimeToken(purpose, token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+  } catch (error) {
+    return null;
+  }
+
+  const client = await getRedisClient();
+  const exists = await client.exists(SESSION_KEYS.ONE_TIME_TOKEN(purpose, decoded.jti));
+  return exists ? decoded : null;
+}
+
+// Verify and invalidate a one-time token. Returns its payload or null.
+async function consumeOneTimeToken(purpose, token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+  } catch (error) {
+    return null;
+  }
+
+  const client = await getRedisClient();
+  const exists = await client.getDel(SESSION_KEYS.ONE_TIME_TOKEN(purpose, decoded.jti));
+  return exists ? decoded : null;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  signAccessToken,
+  verifyAccessToken,
+  getSession,
+  listSessions,
+  toPublicSession,
+  issueOneTimeToken,
+  peekOneTimeToken,
+  consumeOneTimeToken,
+  SESSION_KEYS
+};
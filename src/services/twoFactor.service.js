@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { Organization } = require('../models/organization.model');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults (compatible with common authenticator apps)
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one step before/after to tolerate clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// One-time token purpose and lifetime (seconds) of the login challenge
+const CHALLENGE_PURPOSE = '2fa-challenge';
+const getChallengeTTL = () => Number(process.env.TWO_FACTOR_CHALLENGE_TTL) || 5 * 60;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value (RFC 4226) for a given counter
+const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return code.toString().padStart(TOTP_DIGITS, '0');
+};
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+const generateTOTP = (secret, time = Date.now()) => generateHOTP(secret, getTimeStep(time));
+
+// Returns the matching time step, or null if the code is invalid.
+// Steps at or before lastUsedStep are rejected to prevent replay.
+const verifyTOTP = (secret, code, lastUsedStep = -1) => {
+  if (!secret || !/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+  const currentStep = getTimeStep();
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const step = currentStep + offset;
+    if (step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const buildOtpauthUri = (accountName, secret) => {
+  const issuer = process.env.TOTP_ISSUER || 'Partner Portal';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+};
+
+// Returns plain codes (shown to the user once) and their hashes (stored)
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+// Roles that must have 2FA enabled by default, e.g.
+// TWO_FACTOR_REQUIRED_ROLES=admin,editor
+const getDefaultTwoFactorRequiredRoles = () => {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+// Roles that must have 2FA enabled in an organization: its own policy, set
+// by its admins, or the default
+const getTwoFactorRequiredRoles = async (organizationId) => {
+  const roles = organizationId ? await Organization.getTwoFactorRequiredRoles(organizationId) : null;
+  return roles ?? getDefaultTwoFactorRequiredRoles();
+};
+
+const isTwoFactorSetupRequired = async (user) => {
+  if (user.twoFactor?.enabled) {
+    return false;
+  }
+  const roles = await getTwoFactorRequiredRoles(user.organization);
+  return roles.includes(user.role);
+};
+
+module.exports = {
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  getDefaultTwoFactorRequiredRoles,
+  getTwoFactorRequiredRoles,
+  isTwoFactorSetupRequired,
+  getChallengeTTL,
+  CHALLENGE_PURPOSE
+};
@@ -0,0 +1,297 @@
+const readline = require('readline');
+const mongoose = require('mongoose');
+const { Transform } = require('stream');
+const { parse } = require('csv-parse');
+const { User, ROLES } = require('../models/user.model');
+const { addToUsernameFilter } = require('../config/redis');
+const { validateSignup, validateObject } = require('../middleware/validation');
+const { sendVerificationEmail } = require('./email.service');
+const { getPasswordPolicy } = require('./passwordPolicy.service');
+
+const BULK_FORMATS = {
+  CSV: 'csv',
+  NDJSON: 'ndjson'
+};
+
+const CONTENT_TYPES = {
+  [BULK_FORMATS.CSV]: 'text/csv',
+  [BULK_FORMATS.NDJSON]: 'application/x-ndjson'
+};
+
+// Columns written by exports (never the password hash or 2FA data)
+const EXPORT_FIELDS = [
+  'username',
+  'email',
+  'fullName',
+  'role',
+  'organization',
+  'emailVerified',
+  'createdAt',
+  'deletedAt'
+];
+
+const getImportConfig = () => ({
+  // Rows validated and inserted together
+  batchSize: Number(process.env.USER_IMPORT_BATCH_SIZE) || 500,
+  maxRows: Number(process.env.USER_IMPORT_MAX_ROWS) || 10000
+});
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Yield { record } or { error } for every row of a CSV (with a header row)
+// or NDJSON stream
+async function* readRows(stream, format) {
+  if (format === BULK_FORMATS.CSV) {
+    const parser = stream.pipe(parse({
+      bom: true,
+      columns: (header) => header.map((column) => column.trim()),
+      skip_empty_lines: true,
+      trim: true
+    }));
+    try {
+      for await (const record of parser) {
+        yield { record };
+      }
+    } catch (error) {
+      throw new ImportError(`Invalid CSV: ${error.message}`);
+    }
+    return;
+  }
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const record = JSON.parse(line);
+      yield record && typeof record === 'object' && !Array.isArray(record)
+        ? { record }
+        : { error: 'Row must be a JSON object' };
+    } catch (error) {
+      yield { error: 'Invalid JSON' };
+    }
+  }
+}
+
+// Import users into one organization. Every row gets the signup validation
+// rules and duplicate checks (against the database and earlier rows). The
+// whole file is read and validated first, so a file that is too long or
+// malformed fails with an ImportError before anything is written. Valid
+// rows are then inserted in batches unless dryRun is set; invalid rows are
+// reported and skipped.
+async function importUsers(stream, { format, organizationId, assignableRoles, dryRun = false }) {
+  const { batchSize, maxRows } = getImportConfig();
+  const summary = { dryRun, total: 0, valid: 0, imported: 0, failed: 0, errors: [] };
+  const seenEmails = new Set();
+  const seenUsernames = new Set();
+  const entries = [];
+  let batch = [];
+
+  const reject = (row, messages) => {
+    summary.failed++;
+    summary.errors.push({ row, errors: messages });
+  };
+
+  const flush = async () => {
+    const entries = batch;
+    batch = [];
+    if (entries.length === 0) {
+      return;
+    }
+
+    // Emails are unique across the platform, usernames per organization.
+    // Soft-deleted users still hold theirs.
+    const [emailsTaken, usernamesTaken] = await Promise.all([
+      User.distinct('email', { email: { $in: entries.map(({ data }) => data.email) } }),
+      User.distinct('username', {
+        organization: organizationId,
+        username: { $in: entries.map(({ data }) => data.username) }
+      })
+    ]);
+
+    const accepted = entries.filter(({ row, data }) => {
+      const messages = [];
+      if (emailsTaken.includes(data.email)) {
+        messages.push({ field: 'email', message: 'Email already exists' });
+      }
+      if (usernamesTaken.includes(data.username)) {
+        messages.push({ field: 'username', message: 'Username already exists' });
+      }
+      if (messages.length > 0) {
+        reject(row, messages);
+        return false;
+      }
+      return true;
+    });
+
+    summary.valid += accepted.length;
+    if (dryRun || accepted.length === 0) {
+      return;
+    }
+
+    // insertMany skips the save hooks, so hash passwords here
+    const docs = await Promise.all(accepted.map(async ({ data }) => {
+      const password = await User.hashPassword(data.password);
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        email: data.email,
+        password,
+        passwordHistory: getPasswordPolicy().historySize > 0 ? [password] : [],
+        passwordChangedAt: new Date(),
+        username: data.username,
+        fullName: data.fullName,
+        role: data.role,
+        organization: organizationId
+      };
+    }));
+
+    let inserted;
+    let writeErrors = [];
+    try {
+      inserted = await User.insertMany(docs, { ordered: false });
+    } catch (error) {
+      if (!error.insertedDocs) {
+        throw error;
+      }
+      // Rows the database rejected, e.g. duplicates created meanwhile
+      inserted = error.insertedDocs;
+      writeErrors = error.writeErrors || [];
+    }
+
+    const insertedIds = new Set(inserted.map((user) => String(user._id)));
+    docs.forEach((doc, index) => {
+      if (!insertedIds.has(String(doc._id))) {
+        const writeError = writeErrors.find((err) => err.index === index);
+        reject(accepted[index].row, [{
+          message: writeError?.code === 11000
+            ? 'Email or username already exists'
+            : 'User could not be inserted'
+        }]);
+      }
+    });
+
+    if (inserted.length > 0) {
+      await addToUsernameFilter(inserted.map((user) => user.username), organizationId);
+      await User.invalidateListCache(organizationId);
+    }
+    summary.imported += inserted.length;
+
+    // Same as signup: delivery failures don't fail the import
+    for (const user of inserted) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError.message);
+      }
+    }
+  };
+
+  for await (const { record, error } of readRows(stream, format)) {
+    summary.total++;
+    if (summary.total > maxRows) {
+      throw new ImportError(`Imports are limited to ${maxRows} rows`);
+    }
+    const row = summary.total;
+
+    if (error) {
+      reject(row, [{ message: error }]);
+      continue;
+    }
+
+    const { data, errors } = await validateObject(validateSignup, record);
+    const messages = errors.map((err) => ({ field: err.path, message: err.msg }));
+
+    data.role = data.role ? String(data.role).trim().toLowerCase() : ROLES.VIEWER;
+    if (!assignableRoles.includes(data.role)) {
+      messages.push({ field: 'role', message: 'Role does not exist or cannot be assigned' });
+    }
+
+    if (messages.length === 0) {
+      if (seenEmails.has(data.email)) {
+        messages.push({ field: 'email', message: 'Duplicate email in file' });
+      }
+      if (seenUsernames.has(data.username)) {
+        messages.push({ field: 'username', message: 'Duplicate username in file' });
+      }
+    }
+
+    if (messages.length > 0) {
+      reject(row, messages);
+      continue;
+    }
+
+    seenEmails.add(data.email);
+    seenUsernames.add(data.username);
+    entries.push({ row, data });
+  }
+
+  for (let start = 0; start < entries.length; start += batchSize) {
+    batch = entries.slice(start, start + batchSize);
+    await flush();
+  }
+
+  // Report rows in file order (database rejections arrive per batch)
+  summary.errors.sort((a, b) => a.row - b.row);
+  return summary;
+}
+
+// Quote a CSV value and defuse spreadsheet formulas
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Transform stream turning user documents into CSV or NDJSON lines
+const createExportStream = (format) => {
+  let headerWritten = false;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(user, encoding, callback) {
+      const values = EXPORT_FIELDS.reduce((obj, field) => {
+        obj[field] = user[field] ?? null;
+        return obj;
+      }, {});
+
+      if (format === BULK_FORMATS.NDJSON) {
+        return callback(null, `${JSON.stringify(values)}\n`);
+      }
+
+      let chunk = '';
+      if (!headerWritten) {
+        chunk += `${EXPORT_FIELDS.join(',')}\n`;
+        headerWritten = true;
+      }
+      chunk += `${EXPORT_FIELDS.map((field) => toCsvValue(values[field])).join(',')}\n`;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      // Empty exports still get the CSV header
+      if (format === BULK_FORMATS.CSV && !headerWritten) {
+        this.push(`${EXPORT_FIELDS.join(',')}\n`);
+      }
+      callback();
+    }
+  });
+};
+
+module.exports = {
+  importUsers,
+  createExportStream,
+  ImportError,
+  BULK_FORMATS,
+  CONTENT_TYPES,
+  EXPORT_FIELDS
+};
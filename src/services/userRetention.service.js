@@ -0,0 +1,65 @@
+const { User } = require('../models/user.model');
+const { recordAuditEvent, AUDIT_ACTIONS } = require('./audit.service');
+const { removeAvatar } = require('./avatar.service');
+
+const getRetentionConfig = () => ({
+  // Days a soft-deleted user can still be restored
+  retentionDays: Number(process.env.USER_RETENTION_DAYS) || 30,
+  // Seconds between purge runs
+  purgeInterval: Number(process.env.USER_PURGE_INTERVAL) || 60 * 60
+});
+
+// Permanently delete users soft-deleted longer than the retention period.
+// Returns the number of purged users.
+async function purgeDeletedUsers() {
+  const { retentionDays } = getRetentionConfig();
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  let purged = 0;
+  const cursor = User.find({ deletedAt: { $lte: cutoff } }).select('_id').cursor();
+  for await (const { _id } of cursor) {
+    // Re-check the cutoff in case the user was restored meanwhile
+    const user = await User.findOneAndDelete({ _id, deletedAt: { $lte: cutoff } });
+    if (!user) {
+      continue;
+    }
+
+    // Soft-deleted users keep their avatar in case they are restored
+    await removeAvatar(user.avatar);
+
+    await recordAuditEvent(null, {
+      action: AUDIT_ACTIONS.USER_PURGE,
+      target: user,
+      details: { deletedAt: user.deletedAt }
+    });
+    purged++;
+  }
+
+  return purged;
+}
+
+// Run the purge periodically in the background
+function startUserPurgeJob() {
+  const { purgeInterval } = getRetentionConfig();
+
+  const run = async () => {
+    try {
+      const purged = await purgeDeletedUsers();
+      if (purged > 0) {
+        console.log(`Purged ${purged} deleted user(s)`);
+      }
+    } catch (error) {
+      console.error('Error purging deleted users:', error.message);
+    }
+  };
+
+  const timer = setInterval(run, purgeInterval * 1000);
+  timer.unref();
+  run();
+  return timer;
+}
+
+module.exports = {
+  purgeDeletedUsers,
+  startUserPurgeJob
+};
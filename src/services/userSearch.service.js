@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { User } = require('../models/user.model');
+
+// Searched fields, most relevant first
+const SEARCH_FIELDS = ['username', 'fullName', 'email'];
+const FIELD_WEIGHTS = { username: 3, fullName: 2, email: 1 };
+
+// Fields returned with results
+const SEARCH_PROJECTION = { _id: 1, username: 1, fullName: 1, email: 1, role: 1 };
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Where the term matches a value: the value itself, then the start of a
+// word (e.g. a last name). Returns the match offset or -1.
+const findPrefix = (value, term) => {
+  const text = String(value || '').toLowerCase();
+  if (text.startsWith(term)) {
+    return 0;
+  }
+  const match = new RegExp(`[\\s._@-]${escapeRegex(term)}`).exec(text);
+  return match ? match.index + 1 : -1;
+};
+
+// Score a user for a term and list the matched ranges per field
+const rankUser = (user, term) => {
+  let score = 0;
+  const highlights = [];
+  for (const field of SEARCH_FIELDS) {
+    const value = String(user[field] || '');
+    const start = findPrefix(value, term);
+    if (start === -1) {
+      continue;
+    }
+    highlights.push({ field, start, end: start + term.length });
+
+    // Exact match beats prefix of the value beats prefix of a word
+    const quality = value.toLowerCase() === term ? 3 : start === 0 ? 2 : 1;
+    score = Math.max(score, quality * 10 + FIELD_WEIGHTS[field]);
+  }
+  return { score, highlights };
+};
+
+// The score of rankUser() as an aggregation expression, so the database can
+// sort all matches before the limit applies
+const scoreExpression = (term) => ({
+  $max: SEARCH_FIELDS.map((field) => {
+    const value = { $toLower: { $ifNull: [`$${field}`, ''] } };
+    return {
+      $switch: {
+        branches: [
+          { case: { $eq: [value, term] }, then: 30 + FIELD_WEIGHTS[field] },
+          { case: { $eq: [{ $indexOfCP: [value, term] }, 0] }, then: 20 + FIELD_WEIGHTS[field] },
+          {
+            case: { $regexMatch: { input: value, regex: `[\\s._@-]${escapeRegex(term)}` } },
+            then: 10 + FIELD_WEIGHTS[field]
+          }
+        ],
+        default: 0
+      }
+    };
+  })
+});
+
+// Typeahead search: users of an organization with a username, name word or
+// email starting with the query. Matches come from the searchKeys index and
+// are ranked by the database, best first (ties by username), so the best
+// matches are returned every time; they come with the matched ranges.
+async function searchUsers(organizationId, q, { limit = 10 } = {}) {
+  const term = String(q).trim().toLowerCase();
+  if (!term) {
+    return [];
+  }
+
+  // Anchored and case-sensitive (keys are lowercase), so it uses the index
+  const matches = await User.aggregate([
+    {
+      $match: {
+        organization: new mongoose.Types.ObjectId(String(organizationId)),
+        deletedAt: null,
+        searchKeys: { $regex: `^${escapeRegex(term)}` }
+      }
+    },
+    { $project: { ...SEARCH_PROJECTION, score: scoreExpression(term) } },
+    { $sort: { score: -1, username: 1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return matches
+    .map(({ score, ...fields }) => User.hydrate(fields, SEARCH_PROJECTION))
+    .map((user) => ({ user, ...rankUser(user, term) }))
+    .filter(({ score }) => score > 0);
+}
+
+module.exports = {
+  escapeRegex,
+  searchUsers
+};
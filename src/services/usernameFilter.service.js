@@ -0,0 +1,182 @@
+const { randomInt } = require('crypto');
+const { User } = require('../models/user.model');
+const {
+  addToUsernameFilter,
+  checkUsernameFilter,
+  checkUsernameFilterMany,
+  usernameFilterExists,
+  replaceUsernameFilter
+} = require('../config/redis');
+const { USERNAME_PATTERN, isReservedUsername } = require('../middleware/validation');
+
+const SUGGESTION_COUNT = 5;
+const MAX_USERNAME_LENGTH = 30;
+
+// Availability checks answered by this instance since it started. A false
+// positive is a name the filter reported as possibly taken that turned out
+// to be free (costing a database query).
+const filterStats = {
+  since: new Date(),
+  checks: 0,
+  filteredOut: 0,
+  databaseChecks: 0,
+  falsePositives: 0
+};
+
+// Check whether a username is free in an organization. The filter answers
+// "definitely free" without touching the database; anything else is
+// confirmed against MongoDB.
+async function isUsernameAvailable(username, organizationId) {
+  filterStats.checks++;
+  if (!(await checkUsernameFilter(username, organizationId))) {
+    filterStats.filteredOut++;
+    return true;
+  }
+
+  filterStats.databaseChecks++;
+  const taken = await User.isUsernameTaken(username, organizationId);
+  if (!taken) {
+    filterStats.falsePositives++;
+  }
+  return !taken;
+}
+
+// Lowercase words of a full name, without accents
+const nameWords = (fullName) =>
+  String(fullName || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Candidate usernames for a round. The first round tries the full name and
+// small number suffixes; later rounds use longer random suffixes.
+const buildCandidates = (username, fullName, round) => {
+  const base = String(username).replace(/[^a-zA-Z0-9_-]/g, '');
+  const words = nameWords(fullName);
+  const first = words[0];
+  const last = words.length > 1 ? words[words.length - 1] : '';
+  const names = [];
+
+  if (round === 0) {
+    if (first && last) {
+      names.push(`${first}${last}`, `${first}_${last}`, `${first}-${last}`, `${first[0]}${last}`, `${first}${last[0]}`);
+    } else if (first) {
+      names.push(first);
+    }
+    for (let suffix = 1; suffix <= 9 && base; suffix++) {
+      names.push(`${base}${suffix}`);
+    }
+  }
+
+  const digits = round + 2;
+  for (let i = 0; i < 10; i++) {
+    const suffix = randomInt(10 ** (digits - 1), 10 ** digits);
+    if (base) {
+      names.push(`${base}${suffix}`, `${base}_${suffix}`);
+    }
+    if (first) {
+      names.push(`${first}${last}${suffix}`);
+    }
+  }
+
+  return names.filter((name) =>
+    name.length >= 3 &&
+    name.length <= MAX_USERNAME_LENGTH &&
+    USERNAME_PATTERN.test(name) &&
+    name !== username &&
+    !isReservedUsername(name)
+  );
+};
+
+// Suggest available usernames built from a requested name and optionally
+// the user's full name. Candidates are checked in bulk: one filter query,
+// then one database query for those the filter can't rule out.
+async function suggestUsernames(username, organizationId, { fullName, count = SUGGESTION_COUNT } = {}) {
+  const suggestions = [];
+  const tried = new Set();
+
+  for (let round = 0; round < 3 && suggestions.length < count; round++) {
+    const candidates = [...new Set(buildCandidates(username, fullName, round))]
+      .filter((name) => !tried.has(name));
+    if (candidates.length === 0) {
+      continue;
+    }
+    candidates.forEach((name) => tried.add(name));
+
+    const mightExist = await checkUsernameFilterMany(candidates, organizationId);
+    const toConfirm = candidates.filter((name, index) => mightExist[index]);
+    const taken = toConfirm.length > 0
+      ? new Set(await User.distinct('username', { organization: organizationId, username: { $in: toConfirm } }))
+      : new Set();
+
+    filterStats.checks += candidates.length;
+    filterStats.filteredOut += candidates.length - toConfirm.length;
+    filterStats.databaseChecks += toConfirm.length;
+    filterStats.falsePositives += toConfirm.filter((name) => !taken.has(name)).length;
+
+    suggestions.push(...candidates.filter((name) => !taken.has(name)));
+  }
+
+  return suggestions.slice(0, count);
+}
+
+function getUsernameFilterStats() {
+  const { filteredOut, falsePositives } = filterStats;
+  return {
+    ...filterStats,
+    // Share of free usernames the filter failed to recognize as free
+    falsePositiveRate: falsePositives / (filteredOut + falsePositives) || 0
+  };
+}
+
+// Recreate an organization's username filter from the database and swap it
+// in. Sized to twice the current usernames by default, so it has room to
+// grow. Soft-deleted users keep their username, so they are included.
+async function rebuildUsernameFilter(organizationId, { capacity } = {}) {
+  const startedAt = new Date();
+  const usernames = await User.countDocuments({ organization: organizationId });
+  const size = capacity || Math.max(Number(process.env.USERNAME_FILTER_CAPACITY) || 10000, usernames * 2);
+
+  // Names are remembered, as each must be added only once (see
+  // addToUsernameFilter)
+  const added = new Set();
+  const cursor = User.find({ organization: organizationId }).select('username').cursor();
+  const readUsernames = async function* () {
+    for await (const user of cursor) {
+      added.add(user.username);
+      yield user.username;
+    }
+  };
+  await replaceUsernameFilter(organizationId, readUsernames(), size);
+
+  // Users created or renamed while the filter was being built, unless the
+  // build already saw their current name
+  const changed = await User.find({ organization: organizationId, updatedAt: { $gte: startedAt } })
+    .select('username');
+  const missing = changed.map((user) => user.username).filter((username) => !added.has(username));
+  if (missing.length > 0) {
+    await addToUsernameFilter(missing, organizationId);
+  }
+
+  return { usernames, capacity: size };
+}
+
+// Build the username filter of organizations that don't have one yet
+async function ensureUsernameFilters() {
+  const organizationIds = await User.distinct('organization');
+  for (const organizationId of organizationIds) {
+    if (!(await usernameFilterExists(organizationId))) {
+      await rebuildUsernameFilter(organizationId);
+    }
+  }
+}
+
+module.exports = {
+  isUsernameAvailable,
+  suggestUsernames,
+  getUsernameFilterStats,
+  rebuildUsernameFilter,
+  ensureUsernameFilters
+};
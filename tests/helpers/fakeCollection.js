@@ -0,0 +1,51 @@
+// Serve a model's queries from an array of raw documents, for tests without
+// a database. Filters may use plain values (null matches a missing field),
+// $ne and $in.
+const sameValue = (actual, expected) =>
+  (expected === null ? actual == null : String(actual) === String(expected));
+
+const matchesCondition = (actual, condition) => {
+  if (condition && typeof condition === 'object' && !condition._bsontype && !(condition instanceof Date)) {
+    return Object.entries(condition).every(([operator, value]) => {
+      switch (operator) {
+        case '$ne':
+          return !sameValue(actual, value);
+        case '$in':
+          return value.some((item) => sameValue(actual, item));
+        default:
+          throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  }
+  return sameValue(actual, condition);
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([field, condition]) => matchesCondition(doc[field], condition));
+
+// Replace the collection methods of a model; returns the documents, which
+// reflect saved changes
+function fakeCollection(Model, docs = []) {
+  jest.spyOn(Model.collection, 'findOne').mockImplementation(async (filter) => {
+    const doc = docs.find((candidate) => matches(candidate, filter));
+    return doc ? { ...doc } : null;
+  });
+  jest.spyOn(Model.collection, 'find').mockImplementation((filter) => ({
+    toArray: async () => docs.filter((doc) => matches(doc, filter)).map((doc) => ({ ...doc }))
+  }));
+  jest.spyOn(Model.collection, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = docs.find((candidate) => matches(candidate, filter));
+    if (doc) {
+      Object.assign(doc, update.$set);
+      Object.keys(update.$unset || {}).forEach((field) => delete doc[field]);
+    }
+    return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(Model.collection, 'insertOne').mockImplementation(async (doc) => {
+    docs.push({ ...doc });
+    return { acknowledged: true, insertedId: doc._id };
+  });
+  return docs;
+}
+
+module.exports = { fakeCollection };
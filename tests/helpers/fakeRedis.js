@@ -0,0 +1,125 @@
+// In-memory stand-in for the redis client, enough for the cache helpers,
+// sessions and the username filter. Use with
+// jest.mock('redis', () => require(...)). Expiry is not tracked.
+const store = new Map();
+
+const cuckooFilter = (key) => {
+  if (!store.has(key)) {
+    store.set(key, new Map());
+  }
+  return store.get(key);
+};
+
+// Cuckoo filters count duplicates, so a name added twice is deleted twice
+const sendCommand = async ([command, key, ...args]) => {
+  switch (command) {
+    case 'CF.INSERT': {
+      const filter = cuckooFilter(key);
+      const items = args.slice(args.indexOf('ITEMS') + 1);
+      items.forEach((item) => filter.set(item, (filter.get(item) || 0) + 1));
+      return items.map(() => 1);
+    }
+    case 'CF.DEL': {
+      const filter = cuckooFilter(key);
+      const count = filter.get(args[0]) || 0;
+      if (count > 1) {
+        filter.set(args[0], count - 1);
+      } else {
+        filter.delete(args[0]);
+      }
+      return count > 0 ? 1 : 0;
+    }
+    case 'CF.EXISTS':
+      return store.has(key) && store.get(key).has(args[0]) ? 1 : 0;
+    case 'CF.MEXISTS':
+      return args.map((item) => (store.has(key) && store.get(key).has(item) ? 1 : 0));
+    default:
+      throw new Error(`Unsupported command ${command}`);
+  }
+};
+
+const members = (key) => {
+  if (!store.has(key)) {
+    store.set(key, new Set());
+  }
+  return store.get(key);
+};
+
+// Lua scripts can't run here, so the ones the services use are emulated,
+// recognized by a line of each
+const SCRIPTS = [
+  {
+    // ROTATE_SESSION_SCRIPT (token.service.js)
+    line: 'if cjson.decode(value).tokenHash ~= ARGV[1] then',
+    run: ([key], [tokenHash, session]) => {
+      if (!store.has(key)) {
+        return 0;
+      }
+      if (JSON.parse(store.get(key)).tokenHash !== tokenHash) {
+        return -1;
+      }
+      store.set(key, session);
+      return 1;
+    }
+  },
+  {
+    // TOUCH_SESSION_SCRIPT (token.service.js)
+    line: 'session.lastSeenAt = ARGV[1]',
+    run: ([key], [lastSeenAt, ip]) => {
+      if (!store.has(key)) {
+        return 0;
+      }
+      const session = JSON.parse(store.get(key));
+      session.lastSeenAt = lastSeenAt;
+      if (ip !== '') {
+        session.ip = ip;
+      }
+      store.set(key, JSON.stringify(session));
+      return 1;
+    }
+  }
+];
+
+const evalScript = async (script, { keys = [], arguments: args = [] } = {}) => {
+  const emulated = SCRIPTS.find(({ line }) => script.includes(line));
+  if (!emulated) {
+    throw new Error('Unsupported script');
+  }
+  return emulated.run(keys, args);
+};
+
+const createClient = () => ({
+  on() {
+    return this;
+  },
+  connect: async () => {},
+  duplicate: () => createClient(),
+  subscribe: async () => {},
+  publish: async () => 0,
+  get: async (key) => store.get(key) ?? null,
+  set: async (key, value) => {
+    store.set(key, value);
+    return 'OK';
+  },
+  getDel: async (key) => {
+    const value = store.get(key) ?? null;
+    store.delete(key);
+    return value;
+  },
+  mGet: async (keys) => keys.map((key) => store.get(key) ?? null),
+  del: async (keys) => [].concat(keys).filter((key) => store.delete(key)).length,
+  exists: async (key) => (store.has(key) ? 1 : 0),
+  expire: async () => 1,
+  incr: async (key) => {
+    const value = Number(store.get(key) || 0) + 1;
+    store.set(key, String(value));
+    return value;
+  },
+  sAdd: async (key, values) => [].concat(values).forEach((value) => members(key).add(value)),
+  sRem: async (key, values) => [].concat(values).forEach((value) => members(key).delete(value)),
+  sMembers: async (key) => [...members(key)],
+  eval: evalScript,
+  sendCommand
+});
+
+module.exports = { createClient, store };
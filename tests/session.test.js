@@ -0,0 +1,83 @@
+jest.mock('redis', () => require('./helpers/fakeRedis'));
+
+const { store } = require('./helpers/fakeRedis');
+const { getRedisClient } = require('../src/config/redis');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  verifyAccessToken
+} = require('../src/services/token.service');
+
+const user = { _id: '64b000000000000000000001' };
+
+// Session id of a refresh token ("<sessionId>.<secret>")
+const sessionKey = (refreshToken) => `session:${refreshToken.split('.')[0]}`;
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+beforeEach(() => {
+  store.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Start a session last seen long ago, so the next request touches it
+const startIdleSession = async () => {
+  const tokens = await createSession(user, { ip: '10.0.0.1' });
+  const key = sessionKey(tokens.refreshToken);
+  store.set(key, JSON.stringify({ ...JSON.parse(store.get(key)), lastSeenAt: '2020-01-01T00:00:00.000Z' }));
+  return tokens;
+};
+
+// Run action right after verifyAccessToken has read the session, before it
+// records the activity
+const runAfterSessionRead = async (action) => {
+  const client = await getRedisClient();
+  const get = client.get;
+  jest.spyOn(client, 'get').mockImplementationOnce(async (key) => {
+    const value = await get(key);
+    await action();
+    return value;
+  });
+};
+
+describe('session activity', () => {
+  it('records the last activity and ip', async () => {
+    const { token, refreshToken } = await startIdleSession();
+
+    expect(await verifyAccessToken(token, { ip: '10.0.0.2' })).toMatchObject({ userId: user._id });
+
+    const session = JSON.parse(store.get(sessionKey(refreshToken)));
+    expect(session.ip).toBe('10.0.0.2');
+    expect(session.lastSeenAt).not.toBe('2020-01-01T00:00:00.000Z');
+  });
+
+  it('keeps a refresh made while the activity is recorded', async () => {
+    const { token, refreshToken } = await startIdleSession();
+
+    let rotated;
+    await runAfterSessionRead(async () => {
+      rotated = await rotateSession(refreshToken);
+    });
+    await verifyAccessToken(token, { ip: '10.0.0.2' });
+
+    // The rotated token still works, and isn't mistaken for reuse
+    expect(rotated).not.toBeNull();
+    expect(await rotateSession(rotated.refreshToken)).not.toBeNull();
+  });
+
+  it('does not bring back a session revoked while the activity is recorded', async () => {
+    const { token, refreshToken } = await startIdleSession();
+
+    await runAfterSessionRead(() => revokeSession(refreshToken.split('.')[0]));
+    await verifyAccessToken(token, { ip: '10.0.0.2' });
+
+    expect(store.has(sessionKey(refreshToken))).toBe(false);
+    expect(await rotateSession(refreshToken)).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock('redis', () => require('./helpers/fakeRedis'));
+
+const { Issuer } = require('openid-client');
+const { store } = require('./helpers/fakeRedis');
+const { IdentityProvider } = require('../src/models/identityProvider.model');
+const { startLogin, completeLogin } = require('../src/services/sso.service');
+
+const issuer = new Issuer({
+  issuer: 'https://idp.example.com',
+  authorization_endpoint: 'https://idp.example.com/authorize',
+  token_endpoint: 'https://idp.example.com/token',
+  jwks_uri: 'https://idp.example.com/jwks'
+});
+
+const provider = new IdentityProvider({
+  slug: 'acme',
+  name: 'Acme',
+  issuer: 'https://idp.example.com',
+  clientId: 'portal'
+});
+
+const claims = { sub: 'idp-user-1', email: 'jane@example.com', groups: [] };
+
+beforeEach(() => {
+  store.clear();
+  jest.spyOn(Issuer, 'discover').mockResolvedValue(issuer);
+  jest.spyOn(issuer.Client.prototype, 'callback').mockResolvedValue({ claims: () => claims });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Start a sign-in and return the state and browser nonce
+const start = async (options) => {
+  const { authorizationUrl, browserNonce } = await startLogin(provider, options);
+  return { state: new URL(authorizationUrl).searchParams.get('state'), browserNonce };
+};
+
+describe('single sign-on browser binding', () => {
+  it('completes in the browser that started it', async () => {
+    const { state, browserNonce } = await start({ linkUserId: 'user-1' });
+
+    const login = await completeLogin(provider, { state, code: 'abc' }, { browserNonce });
+    expect(login).toMatchObject({ claims, linkUserId: 'user-1' });
+  });
+
+  it('rejects a callback from another browser', async () => {
+    const { state } = await start({ linkUserId: 'attacker' });
+    const { browserNonce: otherBrowser } = await start();
+
+    await expect(completeLogin(provider, { state, code: 'abc' }, { browserNonce: otherBrowser }))
+      .rejects.toMatchObject({ code: 'INVALID_STATE' });
+  });
+
+  it('rejects a callback without the cookie', async () => {
+    const { state } = await start();
+
+    await expect(completeLogin(provider, { state, code: 'abc' }, {}))
+      .rejects.toMatchObject({ code: 'INVALID_STATE' });
+    expect(issuer.Client.prototype.callback).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('redis', () => require('./helpers/fakeRedis'));
+
+const mongoose = require('mongoose');
+const { store } = require('./helpers/fakeRedis');
+const { User } = require('../src/models/user.model');
+const { Role } = require('../src/models/role.model');
+const { CACHE_KEYS } = require('../src/config/redis');
+
+let organizationId;
+// The one stored user, as the driver returns it
+let storedUser;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) =>
+  (value === null ? doc[field] == null : String(doc[field]) === String(value)));
+
+beforeEach(() => {
+  store.clear();
+  // A new organization each time, as list cache versions are also kept in
+  // memory
+  organizationId = new mongoose.Types.ObjectId();
+  storedUser = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'alice@example.com',
+    username: 'alice',
+    password: '$2a$10$abcdefghijklmnopqrstuuJ8e0cV5pS1t6x9gq1o7bq9QJY8m1Z9K',
+    fullName: 'Alice Smith',
+    role: 'viewer',
+    organization: organizationId,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    __v: 0
+  };
+
+  // No database here: serve the stored user from the collection methods the
+  // model calls
+  jest.spyOn(User.collection, 'findOne').mockImplementation(async (filter) =>
+    (matches(storedUser, filter) ? { ...storedUser } : null));
+  jest.spyOn(User.collection, 'updateOne').mockImplementation(async (filter, update) => {
+    Object.assign(storedUser, update.$set);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+  jest.spyOn(Role.collection, 'findOne').mockResolvedValue({ _id: 'viewer' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Load the user into both caches and check the next reads are cache hits
+const warmCaches = async () => {
+  await User.findProfileByUsername('alice', organizationId);
+  await User.findProfileByEmail('alice@example.com');
+  User.collection.findOne.mockClear();
+
+  expect((await User.findProfileByUsername('alice', organizationId)).fullName).toBe('Alice Smith');
+  expect((await User.findProfileByEmail('alice@example.com')).fullName).toBe('Alice Smith');
+  expect(User.collection.findOne).not.toHaveBeenCalled();
+};
+
+describe('user cache', () => {
+  it('serves updated data after a save', async () => {
+    await warmCaches();
+
+    const user = await User.findByUsername('alice', organizationId);
+    user.fullName = 'Alice Jones';
+    await user.save();
+    User.collection.findOne.mockClear();
+
+    expect((await User.findProfileByUsername('alice', organizationId)).fullName).toBe('Alice Jones');
+    expect((await User.findProfileByEmail('alice@example.com')).fullName).toBe('Alice Jones');
+    expect(User.collection.findOne).not.toHaveBeenCalled();
+  });
+
+  it('invalidates the old email on an email change', async () => {
+    await warmCaches();
+
+    const user = await User.findByUsername('alice', organizationId);
+    user.email = 'alice.jones@example.com';
+    await user.save();
+
+    expect(store.has(CACHE_KEYS.USER_EMAIL('alice@example.com'))).toBe(false);
+    expect(await User.findProfileByEmail('alice@example.com')).toBeNull();
+    expect((await User.findProfileByEmail('alice.jones@example.com')).username).toBe('alice');
+    expect((await User.findProfileByUsername('alice', organizationId)).email)
+      .toBe('alice.jones@example.com');
+  });
+
+  it('invalidates the old username on a rename', async () => {
+    await warmCaches();
+
+    const user = await User.findByUsername('alice', organizationId);
+    user.username = 'alicejones';
+    await user.save();
+
+    expect(store.has(CACHE_KEYS.USER(organizationId, 'alice'))).toBe(false);
+    expect(store.get(`username_filter:${organizationId}`).has('alicejones')).toBe(true);
+    expect(await User.findProfileByUsername('alice', organizationId)).toBeNull();
+    expect((await User.findProfileByUsername('alicejones', organizationId)).email)
+      .toBe('alice@example.com');
+    expect((await User.findProfileByEmail('alice@example.com')).username).toBe('alicejones');
+  });
+
+  it('drops cached user lists on a save', async () => {
+    jest.spyOn(User.collection, 'find').mockImplementation(() => ({
+      toArray: async () => [{ ...storedUser }]
+    }));
+    expect((await User.findAllCached(organizationId))[0].fullName).toBe('Alice Smith');
+
+    const user = await User.findByUsername('alice', organizationId);
+    user.fullName = 'Alice Jones';
+    await user.save();
+
+    expect((await User.findAllCached(organizationId))[0].fullName).toBe('Alice Jones');
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('redis', () => require('./helpers/fakeRedis'));
+// Rate limits are covered elsewhere and need a Redis with scripting
+jest.mock('../src/middleware/rateLimit', () => {
+  const pass = (req, res, next) => next();
+  return { globalLimiter: pass, usernameLimiter: pass };
+});
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { store } = require('./helpers/fakeRedis');
+const { fakeCollection } = require('./helpers/fakeCollection');
+const { User, ROLES } = require('../src/models/user.model');
+const { Role, DEFAULT_ROLE_PERMISSIONS } = require('../src/models/role.model');
+const { Organization } = require('../src/models/organization.model');
+const { AuditEvent } = require('../src/models/auditEvent.model');
+const { createSession } = require('../src/services/token.service');
+const userRoutes = require('../src/routes/user.routes');
+const errorHandler = require('../src/middleware/errorHandler');
+
+const organizationId = new mongoose.Types.ObjectId();
+
+let server;
+let baseUrl;
+let users;
+let organizations;
+
+const buildUser = (username, role) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: `${username}@example.com`,
+  username,
+  password: '$2a$10$abcdefghijklmnopqrstuuJ8e0cV5pS1t6x9gq1o7bq9QJY8m1Z9K',
+  fullName: username,
+  role,
+  organization: organizationId,
+  deletedAt: null,
+  createdAt: new Date(),
+  updatedAt: new Date(),
+  __v: 0
+});
+
+// Send a request as a user (with a new session) or with an access token
+const request = async (actor, method, path, body) => {
+  const token = typeof actor === 'string' ? actor : (await createSession(actor)).token;
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const findUser = (username) => users.find((user) => user.username === username);
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-secret';
+  const app = express();
+  app.use(express.json());
+  app.use('/users', userRoutes);
+  app.use(errorHandler);
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  store.clear();
+  users = fakeCollection(User, [
+    buildUser('root', ROLES.SUPER_ADMIN),
+    buildUser('orgadmin', ROLES.ADMIN),
+    buildUser('editor', ROLES.EDITOR)
+  ]);
+  fakeCollection(Role, Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    permissions
+  })));
+  organizations = fakeCollection(Organization, [
+    { _id: organizationId, slug: 'acme', name: 'Acme', isActive: true }
+  ]);
+  fakeCollection(AuditEvent);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('changing users above the caller', () => {
+  it('rejects updates of a super-admin by an admin or editor', async () => {
+    for (const actor of ['orgadmin', 'editor']) {
+      const { status } = await request(findUser(actor), 'PATCH', '/users/root', { email: 'evil@example.com' });
+      expect(status).toBe(403);
+    }
+    expect(findUser('root').email).toBe('root@example.com');
+  });
+
+  it('rejects deleting a super-admin by an admin', async () => {
+    const { status } = await request(findUser('orgadmin'), 'DELETE', '/users/root');
+    expect(status).toBe(403);
+    expect(findUser('root').deletedAt).toBeNull();
+  });
+
+  it('allows updates of users with fewer permissions', async () => {
+    const { status } = await request(findUser('orgadmin'), 'PATCH', '/users/editor', { fullName: 'Ed' });
+    expect(status).toBe(200);
+    expect(findUser('editor').fullName).toBe('Ed');
+  });
+});
+
+describe('last super-admin', () => {
+  it('cannot be given another role', async () => {
+    const { status, body } = await request(findUser('root'), 'PATCH', '/users/root', { role: ROLES.ADMIN });
+    expect(status).toBe(409);
+    expect(body.error.code).toBe('LAST_SUPER_ADMIN');
+    expect(findUser('root').role).toBe(ROLES.SUPER_ADMIN);
+  });
+
+  it('cannot be given another role in a bulk request', async () => {
+    const { status, body } = await request(findUser('root'), 'POST', '/users/bulk', {
+      operations: [{ username: 'root', action: 'update', changes: { role: ROLES.ADMIN } }]
+    });
+    expect(status).toBe(200);
+    expect(body.data.results[0]).toMatchObject({ status: 'failed', error: { code: 'LAST_SUPER_ADMIN' } });
+    expect(findUser('root').role).toBe(ROLES.SUPER_ADMIN);
+  });
+
+  it('cannot be deleted', async () => {
+    const { status, body } = await request(findUser('root'), 'DELETE', '/users/root');
+    expect(status).toBe(409);
+    expect(body.error.code).toBe('LAST_SUPER_ADMIN');
+  });
+
+  it('can change role once another super-admin exists', async () => {
+    users.push(buildUser('root2', ROLES.SUPER_ADMIN));
+    const { status } = await request(findUser('root'), 'PATCH', '/users/root', { role: ROLES.ADMIN });
+    expect(status).toBe(200);
+    expect(findUser('root').role).toBe(ROLES.ADMIN);
+  });
+});
+
+describe('disabled organization', () => {
+  it('rejects tokens issued before it was disabled', async () => {
+    const { token } = await createSession(findUser('orgadmin'));
+    expect((await request(token, 'GET', '/users')).status).toBe(200);
+
+    const organization = await Organization.findById(organizationId);
+    organization.isActive = false;
+    await organization.save();
+
+    const { status, body } = await request(token, 'GET', '/users');
+    expect(status).toBe(403);
+    expect(body.error.code).toBe('ORGANIZATION_DISABLED');
+    expect(organizations[0].isActive).toBe(false);
+  });
+});